@@ -1,157 +1,685 @@
 import A11yDialog from './a11y-dialog.js';
+import { CartSync, getCartTokenFromCookie, normalizeCartToken } from './cart-sync.js';
+import { CartRecommendations } from './cart-recommendations.js';
+import { cartStore } from './cart-store.js';
+import { renderElements } from './cart-store-dom.js';
+import { CART_EVENTS, dispatchCartEvent } from './cart-events.js';
+import { describeCartError, getQuantityLimitMessage } from './cart-errors.js';
+import { getInputQuantityRule, normalizeQuantityRule, stepQuantity, validateQuantity } from './quantity-rules.js';
+import {
+  getPropertyFields,
+  getPropertyName,
+  getPropertyValue,
+  getRadioGroup,
+  hasFileProperty,
+  isPrivateProperty,
+  showPropertyError,
+  validatePropertyField,
+  validatePropertyFields,
+} from './line-item-properties.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cart');
+
+/**
+ * Discount codes are matched case-insensitively by Shopify
+ * @param {string} a - Discount code
+ * @param {string} b - Discount code
+ * @returns {boolean}
+ */
+function isSameCode(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a cart request failed without an answer from Shopify: the network is
+ * down or the request timed out. Errors thrown by our own code while handling
+ * a response don't count, the request may have been applied.
+ * @param {Error} error - Error thrown by CartAPI
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return error?.networkError === true || error?.name === 'TimeoutError' || error?.name === 'AbortError';
+}
+
+/**
+ * Error for an add that gave up waiting for the connection
+ * @returns {Error}
+ */
+function createOfflineError() {
+  const error = new Error('Cart is offline');
+  error.name = 'OfflineError';
+  // Not a networkError: posting the form natively while offline would only reach the browser's error page
+  return error;
+}
+
+/**
+ * Build an Error from a failed Cart API response
+ * @param {Response} response - Response that isn't ok
+ * @param {string} fallbackMessage - Message when Shopify didn't describe the problem
+ * @returns {Promise<Error>} Error with the response `status` and Shopify's `description`
+ */
+async function createResponseError(response, fallbackMessage) {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch (error) {
+    // Not JSON (e.g. an HTML error page)
+  }
+
+  const error = new Error(body.description || body.message || fallbackMessage);
+  error.status = response.status;
+  error.description = typeof body.description === 'string' ? body.description : null;
+  return error;
+}
+
+/**
+ * Multipart body for /cart/add.js, needed to upload files in line item properties
+ * @param {Object} payload - { id, quantity, properties, sections, sections_url, ... }
+ * @returns {FormData}
+ */
+function toFormData(payload) {
+  const formData = new FormData();
+  Object.entries(payload).forEach(([name, value]) => {
+    if (name === 'properties') {
+      Object.entries(value).forEach(([property, propertyValue]) => {
+        formData.append(`properties[${property}]`, propertyValue);
+      });
+    } else if (value !== undefined && value !== null) {
+      formData.append(name, value);
+    }
+  });
+  return formData;
+}
 
 /**
  * CartAPI - Handles all Shopify Cart API interactions
+ *
+ * Mutations (add, change, remove, update) run through a queue so only one
+ * request is in flight at a time and each one sees the newest cart state.
+ * Every successful mutation is published to the storefront's other tabs.
+ * Mutation responses include server-rendered HTML for the sections set with
+ * setSections() (Section Rendering API), returned as `cart.sections`.
+ *
+ * Requests time out, and are retried with exponential backoff when Shopify is
+ * rate limiting (429) or erroring (5xx). Reads and idempotent mutations are
+ * also retried after network failures. While the browser is offline the queue
+ * holds mutations until the connection returns. Adds only wait offlineTimeout
+ * from when they're queued, wherever they are in the queue, then fail with an
+ * OfflineError so the shopper isn't left waiting on the button.
  */
 export class CartAPI {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {number} options.timeout - ms before a request is abandoned
+   * @param {number} options.retries - Extra attempts for a failed request
+   * @param {number} options.retryDelay - ms before the first retry, doubled for each one after
+   * @param {number} options.offlineTimeout - ms an add waits for the connection to return
+   */
+  constructor(options = {}) {
     this.baseURL = '/cart';
+    this.cart = null; // Latest cart returned by Shopify
+    this.queue = []; // Pending mutations, oldest first
+    this.processing = false;
+    this.sections = []; // Section IDs rendered alongside each mutation
+    this.timeout = options.timeout ?? 10000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.offlineTimeout = options.offlineTimeout ?? 10000;
+    this.sync = new CartSync();
+
+    // Keep relative quantity changes in step with mutations made in other tabs
+    this.sync.subscribe((cart) => {
+      this.cart = cart;
+    });
   }
 
   /**
    * Add a single item to cart
-   * @param {Object} item - { id: variantId, quantity: number, properties: {} }
+   * @param {Object} item - { id: variantId, quantity: number, properties: {}, selling_plan: sellingPlanId }
+   * @returns {Promise<Object>} Cart response
+   */
+  addItem(item) {
+    return this.enqueue('add', item);
+  }
+
+  /**
+   * Add multiple items to cart (for bundles)
+   * @param {Array} items - Array of { id, quantity, properties }
+   * @returns {Promise<Object>} Cart response
+   */
+  addItems(items) {
+    return this.enqueue('add', { items });
+  }
+
+  /**
+   * Update item quantity in cart
+   * @param {string} key - Line item key
+   * @param {number|Function} quantity - New quantity, or a function receiving the latest quantity
+   * @returns {Promise<Object>} Cart response
+   */
+  updateItem(key, quantity) {
+    return this.enqueue('change', { id: key, quantity });
+  }
+
+  /**
+   * Replace a line's properties
+   * Shopify moves the line to a new key, derived from its properties.
+   * @param {string} key - Line item key
+   * @param {Object} properties - Every property the line should have
+   * @returns {Promise<Object>} Cart response
+   */
+  updateItemProperties(key, properties) {
+    return this.enqueue('change', { id: key, quantity: quantity => quantity, properties });
+  }
+
+  /**
+   * Remove item from cart
+   * @param {string} key - Line item key
+   * @returns {Promise<Object>} Cart response
+   */
+  removeItem(key) {
+    return this.enqueue('change', { id: key, quantity: 0 });
+  }
+
+  /**
+   * Save the order note
+   * @param {string} note - Note text
+   * @returns {Promise<Object>} Cart response
+   */
+  updateNote(note) {
+    return this.update({ note });
+  }
+
+  /**
+   * Set cart attributes, merged into the existing ones by Shopify
+   * @param {Object} attributes - Attribute name/value pairs (an empty value removes the attribute)
+   * @returns {Promise<Object>} Cart response
+   */
+  updateAttributes(attributes) {
+    return this.update({ attributes });
+  }
+
+  /**
+   * Apply a discount code alongside any codes already in the cart
+   * @param {string} code - Discount code
+   * @returns {Promise<Object>} Cart response, check `discount_codes[].applicable`
+   */
+  applyDiscount(code) {
+    return this.update({
+      discount: codes => [...codes.filter(existing => !isSameCode(existing, code)), code].join(','),
+    });
+  }
+
+  /**
+   * Remove a discount code, keeping the others
+   * @param {string} code - Discount code
+   * @returns {Promise<Object>} Cart response
+   */
+  removeDiscount(code) {
+    return this.update({
+      discount: codes => codes.filter(existing => !isSameCode(existing, code)).join(','),
+    });
+  }
+
+  /**
+   * Update cart-level data (note, attributes, quantities)
+   * @param {Object} data - Payload for /cart/update.js
+   * @returns {Promise<Object>} Cart response
+   */
+  update(data) {
+    return this.enqueue('update', data);
+  }
+
+  /**
+   * Set the sections Shopify should render with each mutation
+   * @param {Array<string>} ids - Section IDs (at most 5)
+   */
+  setSections(ids) {
+    this.sections = ids;
+  }
+
+  /**
+   * Add the requested sections to a mutation payload
+   * @param {Object} payload - Request payload
+   * @returns {Object} Payload with sections and sections_url
+   */
+  withSections(payload) {
+    if (this.sections.length === 0) {
+      return payload;
+    }
+    return {
+      ...payload,
+      sections: this.sections.join(','),
+      sections_url: window.location.pathname,
+    };
+  }
+
+  /**
+   * Queue a mutation behind any pending ones
+   * Consecutive changes to the same line key are merged into one request.
+   * @param {string} type - 'add', 'change' or 'update'
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Cart response
+   */
+  enqueue(type, payload) {
+    return new Promise((resolve, reject) => {
+      const last = this.queue[this.queue.length - 1];
+
+      if (type === 'change' && last && last.type === 'change' && last.payload.id === payload.id) {
+        last.payload = {
+          ...last.payload,
+          ...payload,
+          quantity: this.mergeQuantity(last.payload.quantity, payload.quantity),
+        };
+        last.callbacks.push({ resolve, reject });
+        return;
+      }
+
+      const operation = { type, payload, callbacks: [{ resolve, reject }] };
+      if (type === 'add') {
+        operation.deadline = Date.now() + this.offlineTimeout;
+        operation.offlineTimer = setTimeout(() => this.expireOperation(operation), this.offlineTimeout);
+      }
+      this.queue.push(operation);
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Drop an add still queued behind other mutations once its offline deadline passes
+   * The operation at the head of the queue is timed by processQueue.
+   * @param {Object} operation - Queued operation
+   */
+  expireOperation(operation) {
+    const index = this.queue.indexOf(operation);
+    if (index < 1 || navigator.onLine !== false) {
+      return;
+    }
+    this.queue.splice(index, 1);
+    const error = createOfflineError();
+    operation.callbacks.forEach(({ reject }) => reject(error));
+  }
+
+  /**
+   * Combine two queued quantities for the same line
+   * @param {number|Function} previous - Quantity already queued
+   * @param {number|Function} next - Quantity being queued
+   * @returns {number|Function}
+   */
+  mergeQuantity(previous, next) {
+    if (typeof next !== 'function') {
+      return next;
+    }
+    return (quantity) => next(this.resolveQuantity(previous, quantity));
+  }
+
+  /**
+   * Resolve a queued quantity against the current line quantity
+   * @param {number|Function} quantity - Queued quantity
+   * @param {number} current - Current line quantity
+   * @returns {number}
+   */
+  resolveQuantity(quantity, current) {
+    return typeof quantity === 'function' ? quantity(current) : quantity;
+  }
+
+  /**
+   * Run queued mutations one at a time
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const operation = this.queue[0];
+      try {
+        // Hold mutations while offline, they keep merging in the queue meanwhile
+        await this.waitForOnline(operation.deadline ? Math.max(operation.deadline - Date.now(), 0) : Infinity);
+      } catch (error) {
+        this.queue.shift();
+        clearTimeout(operation.offlineTimer);
+        operation.callbacks.forEach(({ reject }) => reject(error));
+        continue;
+      }
+
+      this.queue.shift();
+      clearTimeout(operation.offlineTimer);
+      try {
+        const cart = await this.runOperation(operation);
+        // Other tabs render their own sections
+        const { sections, ...syncedCart } = cart;
+        this.sync.publish(syncedCart);
+        operation.callbacks.forEach(({ resolve }) => resolve(cart));
+      } catch (error) {
+        operation.callbacks.forEach(({ reject }) => reject(error));
+      }
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * Send a single queued mutation
+   * @param {Object} operation - { type, payload }
+   * @returns {Promise<Object>} Cart response
+   */
+  async runOperation({ type, payload }) {
+    switch (type) {
+      case 'add':
+        return payload.items ? this.sendAddItems(payload.items) : this.sendAddItem(payload);
+      case 'change': {
+        let quantity = payload.quantity;
+        if (typeof quantity === 'function') {
+          // Resolve relative changes against the newest cart state
+          const cart = this.cart || await this.getCart();
+          const line = cart.items.find(item => item.key === payload.id);
+          quantity = quantity(line ? line.quantity : 0);
+        }
+        return this.sendChange(payload.id, quantity, payload.properties);
+      }
+      case 'update': {
+        let data = payload;
+        if (typeof payload.discount === 'function') {
+          // Resolve the code list against the newest cart state
+          const cart = this.cart || await this.getCart();
+          const codes = (cart.discount_codes || []).map(discount => discount.code);
+          data = { ...payload, discount: payload.discount(codes) };
+        }
+        return this.sendUpdate(data);
+      }
+      default:
+        throw new Error(`Unknown cart operation: ${type}`);
+    }
+  }
+
+  /**
+   * POST a single item to /cart/add.js
+   * @param {Object} item - { id: variantId, quantity: number, properties: {}, selling_plan: sellingPlanId }
    * @returns {Promise<Object>} Cart response
    */
-  async addItem(item) {
+  async sendAddItem(item) {
     try {
-      console.log('CartAPI.addItem - Request:', item); // Debug log
-      
-      const response = await fetch(`${this.baseURL}/add.js`, {
+      logger.debug('CartAPI.addItem - Request:', item); // Debug log
+
+      // Files can't be sent as JSON, let the browser set the multipart boundary
+      const upload = hasFileProperty(item.properties);
+      const response = await this.request(`${this.baseURL}/add.js`, {
         method: 'POST',
-        headers: {
+        headers: upload ? {} : {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(item),
+        body: upload ? toFormData(this.withSections(item)) : JSON.stringify(this.withSections(item)),
       });
 
-      console.log('CartAPI.addItem - Response status:', response.status); // Debug log
+      logger.debug('CartAPI.addItem - Response status:', response.status); // Debug log
 
       if (!response.ok) {
-        let errorMessage = 'Failed to add item to cart';
-        try {
-          const error = await response.json();
-          errorMessage = error.description || error.message || errorMessage;
-          console.error('CartAPI.addItem - Error response:', error); // Debug log
-        } catch (e) {
-          // If response isn't JSON, get text
-          const text = await response.text();
-          console.error('CartAPI.addItem - Error text:', text); // Debug log
-          errorMessage = text || errorMessage;
-        }
-        throw new Error(errorMessage);
+        throw await createResponseError(response, 'Failed to add item to cart');
       }
 
       const result = await response.json();
-      console.log('CartAPI.addItem - Success:', result); // Debug log
+      logger.debug('CartAPI.addItem - Success:', result); // Debug log
       
       // The add.js endpoint returns the item, not the full cart
-      // Fetch the full cart to get updated state
-      const fullCart = await this.getCart();
-      console.log('CartAPI.addItem - Full cart after add:', fullCart); // Debug log
-      return fullCart;
+      return this.getCartAfterAdd(result);
     } catch (error) {
-      console.error('Error adding item to cart:', error);
+      logger.error('Error adding item to cart:', error);
       throw error;
     }
   }
 
   /**
-   * Add multiple items to cart (for bundles)
+   * POST multiple items to /cart/add.js
    * @param {Array} items - Array of { id, quantity, properties }
    * @returns {Promise<Object>} Cart response
    */
-  async addItems(items) {
+  async sendAddItems(items) {
     try {
-      const response = await fetch(`${this.baseURL}/add.js`, {
+      const response = await this.request(`${this.baseURL}/add.js`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ items }),
+        body: JSON.stringify(this.withSections({ items })),
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description || 'Failed to add items to cart');
+        throw await createResponseError(response, 'Failed to add items to cart');
       }
 
       const result = await response.json();
-      console.log('CartAPI.addItems - Success:', result); // Debug log
+      logger.debug('CartAPI.addItems - Success:', result); // Debug log
       
       // The add.js endpoint returns items, not the full cart
-      // Fetch the full cart to get updated state
-      const fullCart = await this.getCart();
-      console.log('CartAPI.addItems - Full cart after add:', fullCart); // Debug log
-      return fullCart;
+      return this.getCartAfterAdd(result);
     } catch (error) {
-      console.error('Error adding items to cart:', error);
+      logger.error('Error adding items to cart:', error);
       throw error;
     }
   }
 
   /**
-   * Update item quantity in cart
+   * Fetch the full cart once an add has succeeded
+   * The add is already applied, so a failed refresh isn't an error: the last
+   * known cart (if any) is returned with the added lines and the sections
+   * rendered by the add, and the next cart request brings the totals up to date.
+   * @param {Object} result - /cart/add.js response
+   * @returns {Promise<Object>} Cart response
+   */
+  async getCartAfterAdd(result) {
+    try {
+      const fullCart = await this.getCart();
+      logger.debug('CartAPI.addItem - Full cart after add:', fullCart); // Debug log
+      return { ...fullCart, sections: result.sections };
+    } catch (error) {
+      logger.warn('CartAPI: Cart refresh after add failed:', error);
+
+      // A single add returns the line, a bundle { items }; both carry the line's new quantity
+      const { sections, ...line } = result;
+      const lines = Array.isArray(result.items) ? result.items : [line];
+      const items = [
+        ...lines,
+        ...(this.cart?.items || []).filter(item => !lines.some(added => added.key === item.key)),
+      ];
+      return {
+        ...this.cart,
+        items,
+        item_count: items.reduce((count, item) => count + item.quantity, 0),
+        sections,
+      };
+    }
+  }
+
+  /**
+   * POST a quantity change to /cart/change.js
    * @param {string} key - Line item key
    * @param {number} quantity - New quantity
+   * @param {Object} properties - Replacement line item properties (optional)
    * @returns {Promise<Object>} Cart response
    */
-  async updateItem(key, quantity) {
+  async sendChange(key, quantity, properties = null) {
     try {
-      const response = await fetch(`${this.baseURL}/change.js`, {
+      const response = await this.request(`${this.baseURL}/change.js`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ id: key, quantity }),
+        body: JSON.stringify(this.withSections({ id: key, quantity, ...(properties && { properties }) })),
+      }, {
+        // New properties give the line a new key, a repeat would target the old one
+        idempotent: !properties,
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description || 'Failed to update item');
+        throw await createResponseError(response, 'Failed to update item');
       }
 
-      return await response.json();
+      this.cart = await response.json();
+      return this.cart;
     } catch (error) {
-      console.error('Error updating item:', error);
+      logger.error('Error updating item:', error);
       throw error;
     }
   }
 
   /**
-   * Remove item from cart
-   * @param {string} key - Line item key
+   * POST cart-level data to /cart/update.js
+   * @param {Object} data - Update payload
    * @returns {Promise<Object>} Cart response
    */
-  async removeItem(key) {
+  async sendUpdate(data) {
     try {
-      const response = await fetch(`${this.baseURL}/change.js`, {
+      const response = await this.request(`${this.baseURL}/update.js`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ id: key, quantity: 0 }),
-      });
+        body: JSON.stringify(this.withSections(data)),
+      }, { idempotent: true });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.description || 'Failed to remove item');
+        throw await createResponseError(response, 'Failed to update cart');
       }
 
-      return await response.json();
+      this.cart = await response.json();
+      return this.cart;
     } catch (error) {
-      console.error('Error removing item:', error);
+      logger.error('Error updating cart:', error);
       throw error;
     }
   }
 
+  /**
+   * fetch() with a timeout and retries
+   * 429 responses are always retried since Shopify didn't process the request.
+   * 5xx responses and network failures are only retried for idempotent requests,
+   * a repeated add could add the item twice.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @param {Object} retry
+   * @param {boolean} retry.idempotent - Safe to send again, defaults to true for GET
+   * @returns {Promise<Response>}
+   * @throws {Error} TimeoutError when Shopify doesn't answer in time
+   */
+  async request(url, options = {}, { idempotent = !options.method || options.method === 'GET' } = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+      const canRetry = attempt < this.retries;
+
+      try {
+        const response = await this.fetchWithTimeout(url, options);
+        const retryable = response.status === 429 || (idempotent && response.status >= 500);
+        if (!retryable || !canRetry) {
+          return response;
+        }
+        logger.warn(`CartAPI: ${response.status} from ${url}, retrying`);
+        await wait(this.getRetryDelay(attempt, response));
+      } catch (error) {
+        if (!idempotent || !isNetworkError(error) || !canRetry) {
+          throw error;
+        }
+        logger.warn(`CartAPI: ${error.name} from ${url}, retrying`);
+        await this.waitForOnline();
+        await wait(this.getRetryDelay(attempt));
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempt - Attempts made so far, minus one
+   * @param {Response} response - Response asking for the retry, may carry Retry-After
+   * @returns {number} ms
+   */
+  getRetryDelay(attempt, response = null) {
+    const retryAfter = parseFloat(response?.headers.get('Retry-After'));
+    if (retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+    return this.retryDelay * 2 ** attempt;
+  }
+
+  /**
+   * Resolve once the browser is online
+   * @param {number} timeout - ms to wait at most
+   * @returns {Promise<void>}
+   * @throws {Error} OfflineError when the connection doesn't return in time
+   */
+  waitForOnline(timeout = Infinity) {
+    if (navigator.onLine !== false) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const handleOnline = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+
+      if (Number.isFinite(timeout)) {
+        timer = setTimeout(() => {
+          window.removeEventListener('online', handleOnline);
+          reject(createOfflineError());
+        }, timeout);
+      }
+      window.addEventListener('online', handleOnline, { once: true });
+    });
+  }
+
+  /**
+   * fetch() that gives up after this.timeout
+   * The body is read before the timer stops, a response that stalls halfway
+   * times out too. The returned Response holds the body that was read.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>}
+   * @throws {Error} TimeoutError when Shopify doesn't answer in time
+   */
+  async fetchWithTimeout(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const error = new Error('Cart request timed out');
+      error.name = 'TimeoutError';
+      controller.abort(error);
+    }, this.timeout);
+
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal }).catch((error) => {
+        // fetch() rejects with a TypeError when there's no response (not when the body fails later)
+        if (error instanceof TypeError) {
+          error.networkError = true;
+        }
+        throw error;
+      });
+      // Statuses that can't have a body
+      const body = [101, 204, 205, 304].includes(response.status) ? null : await response.text();
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Get current cart state
    * @returns {Promise<Object>} Cart object
    */
   async getCart() {
     try {
-      const response = await fetch(`${this.baseURL}.js`, {
+      const response = await this.request(`${this.baseURL}.js`, {
         method: 'GET',
         headers: {
           'Content-Type': 'application/json',
@@ -162,138 +690,35 @@ export class CartAPI {
         throw new Error('Failed to fetch cart');
       }
 
-      return await response.json();
+      this.cart = await response.json();
+      return this.cart;
     } catch (error) {
-      console.error('Error fetching cart:', error);
+      logger.error('Error fetching cart:', error);
       throw error;
     }
   }
-}
-
-/**
- * CartStore - Alpine.js reactive store for cart state
- */
-export class CartStore {
-  constructor() {
-    this.store = {
-      items: [],
-      item_count: 0,
-      total_price: 0,
-      formatted_total: '$0.00',
-      loading: false,
-      error: null,
-      updatingItems: new Set(), // Track which items are being updated by key
-
-      /**
-       * Update cart state from API response
-       * @param {Object} cartData - Cart data from Shopify API
-       */
-      updateCart(cartData) {
-        console.log('CartStore.updateCart - Received cart data:', cartData);
-        console.log('CartStore.updateCart - Items:', cartData.items);
-        console.log('CartStore.updateCart - Item count:', cartData.item_count);
-        console.log('CartStore.updateCart - Items type:', Array.isArray(cartData.items) ? 'Array' : typeof cartData.items);
-        console.log('CartStore.updateCart - Items length:', cartData.items?.length);
-        
-        // Ensure items is an array
-        const items = Array.isArray(cartData.items) ? cartData.items : [];
-        
-        // CRITICAL FIX: Direct property assignment for Alpine reactivity
-        // Alpine.js tracks property changes, so we assign directly
-        this.items = items;
-        this.item_count = cartData.item_count || 0;
-        this.total_price = cartData.total_price || 0;
-        this.formatted_total = this.formatMoney(cartData.total_price || 0);
-        this.error = null;
-        
-        console.log('CartStore.updateCart - Updated store state:', {
-          items: this.items,
-          itemsLength: this.items.length,
-          item_count: this.item_count,
-          total_price: this.total_price,
-          formatted_total: this.formatted_total
-        });
-      },
-
-      /**
-       * Format money value
-       * @param {number} cents - Price in cents
-       * @returns {string} Formatted price
-       */
-      formatMoney(cents) {
-        if (typeof window.Shopify !== 'undefined' && window.Shopify.formatMoney) {
-          return window.Shopify.formatMoney(cents);
-        }
-        // Fallback formatting
-        return `$${(cents / 100).toFixed(2)}`;
-      },
-
-      /**
-       * Get item by key
-       * @param {string} key - Line item key
-       * @returns {Object|null} Cart item
-       */
-      getItem(key) {
-        return this.items.find(item => item.key === key) || null;
-      },
-
-      /**
-       * Set loading state
-       * @param {boolean} isLoading - Loading state
-       */
-      setLoading(isLoading) {
-        this.loading = isLoading;
-      },
-
-      /**
-       * Set error state
-       * @param {string|null} errorMessage - Error message
-       */
-      setError(errorMessage) {
-        this.error = errorMessage;
-      },
-
-      /**
-       * Mark an item as updating
-       * @param {string} key - Line item key
-       */
-      setItemUpdating(key, isUpdating) {
-        if (isUpdating) {
-          this.updatingItems.add(key);
-        } else {
-          this.updatingItems.delete(key);
-        }
-        // Force reactivity by creating a new Set
-        this.updatingItems = new Set(this.updatingItems);
-      },
-
-      /**
-       * Check if an item is updating
-       * @param {string} key - Line item key
-       * @returns {boolean}
-       */
-      isItemUpdating(key) {
-        return this.updatingItems.has(key);
-      },
-    };
-  }
 
   /**
-   * Register store with Alpine.js
+   * Render sections without changing the cart (Section Rendering API)
+   * @param {Array<string>} ids - Section IDs, defaults to those set with setSections()
+   * @returns {Promise<Object>} Map of section ID to HTML
    */
-  register() {
-    if (typeof window.Alpine !== 'undefined') {
-      // Check if store already exists to avoid duplicate registration
-      if (!window.Alpine.store('cart')) {
-        window.Alpine.store('cart', this.store);
-        console.log('CartStore: Registered new cart store with Alpine');
-      } else {
-        console.log('CartStore: Store already registered, skipping');
+  async getSections(ids = this.sections) {
+    try {
+      const url = new URL(window.location.pathname, window.location.origin);
+      url.searchParams.set('sections', ids.join(','));
+
+      const response = await this.request(url.toString());
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch sections');
       }
-      return true;
+
+      return await response.json();
+    } catch (error) {
+      logger.error('Error fetching sections:', error);
+      throw error;
     }
-    console.warn('CartStore: Alpine not available yet');
-    return false;
   }
 }
 
@@ -321,17 +746,19 @@ export class SideCart {
     if (container) {
       try {
         this.dialog = new A11yDialog(container);
-        console.log('SideCart: Dialog initialized', this.dialog);
+        logger.debug('SideCart: Dialog initialized', this.dialog);
         
         // Verify initialization
         if (!this.dialog) {
-          console.error('SideCart: A11yDialog constructor returned null/undefined');
+          logger.error('SideCart: A11yDialog constructor returned null/undefined');
         }
         
+        this.bindDialogEvents();
+
         // Add custom styling for slide-in animation
         this.setupStyles();
       } catch (error) {
-        console.error('SideCart: Error initializing dialog:', error);
+        logger.error('SideCart: Error initializing dialog:', error);
       }
     } else {
       // Retry if container isn't ready yet
@@ -339,6 +766,28 @@ export class SideCart {
     }
   }
 
+  /**
+   * Re-dispatch a11y-dialog show/hide as cart open/close events
+   * The dialog's own events are cancellable and fire before it changes state,
+   * so they cover every way of opening or closing (triggers, Escape, overlay).
+   */
+  bindDialogEvents() {
+    const bind = (dialogEvent, beforeName, afterName) => {
+      this.dialog.on(dialogEvent, (event) => {
+        const detail = { trigger: event.detail || null };
+        if (dispatchCartEvent(beforeName, detail, { cancelable: true }).defaultPrevented) {
+          event.preventDefault();
+          return;
+        }
+        // a11y-dialog updates its state right after this listener returns
+        queueMicrotask(() => dispatchCartEvent(afterName, detail));
+      });
+    };
+
+    bind('show', CART_EVENTS.BEFORE_OPEN, CART_EVENTS.OPEN);
+    bind('hide', CART_EVENTS.BEFORE_CLOSE, CART_EVENTS.CLOSE);
+  }
+
   setupStyles() {
     // Styles are now in input.css for better performance and earlier loading
     // This method is kept for potential future dynamic style additions
@@ -358,7 +807,7 @@ export class SideCart {
           if (this.dialog) {
             this.showDialog();
           } else {
-            console.error('SideCart: Dialog not initialized after retry');
+            logger.error('SideCart: Dialog not initialized after retry');
             // Fallback: manually show the dialog
             this.showDialogManually();
           }
@@ -370,7 +819,7 @@ export class SideCart {
     if (this.dialog) {
       this.showDialog();
     } else {
-      console.error('SideCart: Cannot open - dialog not initialized, using manual fallback');
+      logger.error('SideCart: Cannot open - dialog not initialized, using manual fallback');
       this.showDialogManually();
     }
   }
@@ -379,14 +828,18 @@ export class SideCart {
    * Show dialog using a11y-dialog
    */
   showDialog() {
-    console.log('SideCart: Opening dialog via a11y-dialog');
+    logger.debug('SideCart: Opening dialog via a11y-dialog');
     const container = document.querySelector(`[data-a11y-dialog="${this.containerId}"]`);
     
     try {
       if (this.dialog && typeof this.dialog.show === 'function') {
         this.dialog.show();
+        // A cart:before-open listener kept the drawer closed
+        if (!this.dialog.shown) {
+          return;
+        }
       } else {
-        console.warn('SideCart: dialog.show() not available, using manual fallback');
+        logger.warn('SideCart: dialog.show() not available, using manual fallback');
         this.showDialogManually();
         return;
       }
@@ -394,16 +847,16 @@ export class SideCart {
       // Immediately check and fix if needed (don't wait)
       if (container) {
         const ariaHidden = container.getAttribute('aria-hidden');
-        console.log('SideCart: Container aria-hidden after show():', ariaHidden);
+        logger.debug('SideCart: Container aria-hidden after show():', ariaHidden);
         
         // If a11y-dialog didn't set it, do it manually immediately
         if (ariaHidden !== 'false') {
-          console.warn('SideCart: a11y-dialog did not set aria-hidden, setting manually');
+          logger.warn('SideCart: a11y-dialog did not set aria-hidden, setting manually');
           this.showDialogManually();
         }
       }
     } catch (error) {
-      console.error('SideCart: Error showing dialog:', error);
+      logger.error('SideCart: Error showing dialog:', error);
       this.showDialogManually();
     }
   }
@@ -412,21 +865,21 @@ export class SideCart {
    * Manual fallback to show dialog if a11y-dialog fails
    */
   showDialogManually() {
-    console.log('SideCart: Using manual fallback to show dialog');
+    logger.debug('SideCart: Using manual fallback to show dialog');
     const container = document.querySelector(`[data-a11y-dialog="${this.containerId}"]`);
     if (container) {
       container.setAttribute('aria-hidden', 'false');
       // Ensure it's visible
       container.style.display = 'block';
-      console.log('SideCart: Manually set aria-hidden="false" and display="block"');
+      logger.debug('SideCart: Manually set aria-hidden="false" and display="block"');
       
       // Verify it worked
       setTimeout(() => {
         const computed = window.getComputedStyle(container);
-        console.log('SideCart: Manual fallback - display:', computed.display, 'aria-hidden:', container.getAttribute('aria-hidden'));
+        logger.debug('SideCart: Manual fallback - display:', computed.display, 'aria-hidden:', container.getAttribute('aria-hidden'));
       }, 10);
     } else {
-      console.error('SideCart: Container not found for manual fallback');
+      logger.error('SideCart: Container not found for manual fallback');
     }
   }
 
@@ -438,7 +891,7 @@ export class SideCart {
       try {
         this.dialog.hide();
       } catch (error) {
-        console.error('SideCart: Error hiding dialog:', error);
+        logger.error('SideCart: Error hiding dialog:', error);
         this.hideDialogManually();
       }
     } else {
@@ -469,57 +922,105 @@ export class SideCart {
  * CartManager - Coordinates CartAPI, CartStore, and SideCart
  */
 export class CartManager {
-  constructor() {
-    this.api = new CartAPI();
-    // Store should already be registered inline in theme.liquid
-    // We'll always access it via Alpine.store('cart')
-    this.store = null;
+  /**
+   * @param {Object} options
+   * @param {boolean} options.optimistic - Apply quantity changes to the store before Shopify confirms them
+   * @param {number} options.noteDebounce - Delay in ms before a typed note or attribute is saved
+   * @param {number} options.quantityDebounce - Delay in ms before a typed line quantity is sent
+   * @param {Object} options.api - CartAPI options (timeout, retries, retryDelay)
+   */
+  constructor(options = {}) {
+    this.options = {
+      optimistic: true,
+      noteDebounce: 500,
+      quantityDebounce: 800,
+      api: {},
+      ...options,
+    };
+    this.fieldTimers = new Map(); // Pending note/attribute saves by field
+    this.quantityTimers = new Map(); // Pending typed quantity commits by line key
+    this.api = new CartAPI(this.options.api);
+    // Optimistic changes still waiting on Shopify, and the cart to roll back to if one fails
+    this.pendingOptimistic = 0;
+    this.snapshot = null;
+    // Observable cart state, mirrored into Alpine's $store.cart when Alpine is loaded
+    this.store = cartStore;
     this.sideCart = new SideCart();
+    this.recommendations = new CartRecommendations();
     this.init();
   }
 
   init() {
-    // Register Alpine store when Alpine is ready
-    this.registerStore();
+    // Ask Shopify to re-render the cart sections on this page with every change
+    this.api.setSections(this.getSectionIds());
+
+    // Load the cart into the store
+    this.loadInitialCart();
 
     // Set up event listeners (these work regardless of Alpine)
     this.setupEventListeners();
+
+    // Follow cart changes made in other tabs
+    this.setupSync();
+
+    // Show when cart changes are waiting for the connection
+    this.setupConnectivity();
   }
 
   /**
-   * Register store with Alpine.js when it's available
+   * Track the connection in the store, CartAPI sends queued changes once it's back
    */
-  registerStore() {
-    // Store is already registered inline in layout/theme.liquid via alpine:init
-    // Just wait for it to be available and load the initial cart data
-    if (typeof window.Alpine !== 'undefined' && window.Alpine.store('cart')) {
-      console.log('CartManager: Store already available, loading cart data');
-      this.loadInitialCart();
-    } else {
-      // Wait for Alpine to be ready
-      document.addEventListener('alpine:init', () => {
-        console.log('CartManager: Alpine initialized, loading cart data');
-        this.loadInitialCart();
-      });
+  setupConnectivity() {
+    const update = () => this.getCartStore().setOffline(navigator.onLine === false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+  }
 
-      // Also try after a short delay in case alpine:init already fired
-      setTimeout(() => {
-        if (typeof window.Alpine !== 'undefined' && window.Alpine.store('cart')) {
-          console.log('CartManager: Store available after delay, loading cart data');
-          this.loadInitialCart();
-        }
-      }, 100);
+  /**
+   * Apply carts published by other tabs and refetch when the cart was replaced
+   */
+  setupSync() {
+    this.api.sync.subscribe((cart) => {
+      const cartStore = this.getCartStore();
+      if (!cartStore) {
+        return;
+      }
+
+      if (this.pendingOptimistic > 0) {
+        // Don't overwrite local changes still in flight, roll back to this cart instead
+        this.snapshot = this.takeSnapshot(cart);
+      } else {
+        cartStore.applyCart(cart);
+        this.refreshSections();
+      }
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && this.hasCartTokenChanged()) {
+        this.loadInitialCart().then(() => this.refreshSections());
+      }
+    });
+  }
+
+  /**
+   * Check whether the cart cookie points at a different cart than the one loaded
+   * (e.g. after checking out or clearing the cart in another tab)
+   * @returns {boolean}
+   */
+  hasCartTokenChanged() {
+    if (!this.api.cart) {
+      return false;
     }
+    return getCartTokenFromCookie() !== normalizeCartToken(this.api.cart.token);
   }
 
   /**
-   * Get the cart store (either from Alpine or our instance)
+   * Get the cart store
+   * @returns {CartStore}
    */
   getCartStore() {
-    if (typeof window.Alpine !== 'undefined' && window.Alpine.store('cart')) {
-      return window.Alpine.store('cart');
-    }
-    return this.store ? this.store.store : null;
+    return this.store;
   }
 
   /**
@@ -528,24 +1029,10 @@ export class CartManager {
   async loadInitialCart() {
     try {
       const cart = await this.api.getCart();
-      const cartStore = this.getCartStore();
-      
-      // Update Alpine store directly for reactivity
-      if (cartStore && typeof window.Alpine !== 'undefined') {
-        const store = window.Alpine.store('cart');
-        if (store) {
-          const items = Array.isArray(cart.items) ? cart.items : [];
-          store.items = items;
-          store.item_count = cart.item_count || 0;
-          store.total_price = cart.total_price || 0;
-          store.formatted_total = store.formatMoney(cart.total_price || 0);
-        }
-        cartStore.updateCart(cart);
-      } else if (cartStore) {
-        cartStore.updateCart(cart);
-      }
+      this.getCartStore().applyCart(cart);
+      this.renderLineStates();
     } catch (error) {
-      console.error('Error loading initial cart:', error);
+      logger.error('Error loading initial cart:', error);
     }
   }
 
@@ -583,6 +1070,124 @@ export class CartManager {
       }
     });
 
+    // Listen for line item controls in server-rendered cart sections
+    document.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-cart-increment], [data-cart-decrement], [data-cart-remove]');
+      if (!control) {
+        return;
+      }
+      e.preventDefault();
+
+      const methods = this.getMethods();
+      if (control.dataset.cartIncrement) {
+        methods.incrementQuantity(control.dataset.cartIncrement);
+      } else if (control.dataset.cartDecrement) {
+        methods.decrementQuantity(control.dataset.cartDecrement);
+      } else {
+        methods.removeItem(control.dataset.cartRemove);
+      }
+    });
+
+    // Send typed line quantities once the shopper stops typing
+    document.addEventListener('input', (e) => {
+      const input = e.target.closest('[data-cart-line-quantity]');
+      if (input) {
+        const key = input.dataset.cartLineQuantity;
+        clearTimeout(this.quantityTimers.get(key));
+        this.quantityTimers.set(key, setTimeout(() => this.commitLineQuantity(input), this.options.quantityDebounce));
+      }
+    });
+
+    // Send them straight away when the field loses focus or on Enter
+    document.addEventListener('change', (e) => {
+      const input = e.target.closest('[data-cart-line-quantity]');
+      if (input) {
+        this.commitLineQuantity(input);
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      const input = e.key === 'Enter' && e.target.closest('[data-cart-line-quantity]');
+      if (input) {
+        // Don't submit the cart page form
+        e.preventDefault();
+        this.commitLineQuantity(input);
+      }
+    });
+
+    // Add back a line removed by typing 0
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('[data-cart-undo-remove]')) {
+        e.preventDefault();
+        this.undoRemove();
+      }
+    });
+    document.addEventListener(CART_EVENTS.CLOSE, () => {
+      this.getCartStore()?.setRemovedItem(null);
+    });
+
+    // Re-check property fields showing an error as the shopper corrects them
+    document.addEventListener('input', (e) => {
+      if (getPropertyName(e.target.name) === null) {
+        return;
+      }
+      // Radio groups show their error on the first radio
+      const [field] = getRadioGroup(e.target);
+      if (field.getAttribute('aria-invalid') === 'true') {
+        showPropertyError(field, validatePropertyField(field));
+      }
+    });
+
+    // Save line item properties edited in the cart
+    document.addEventListener('submit', (e) => {
+      const form = e.target.closest('[data-cart-line-properties]');
+      if (form) {
+        e.preventDefault();
+        this.handlePropertiesSubmit(form);
+      }
+    });
+
+    // Explain quantity rule violations through the browser's form validation
+    document.addEventListener('input', (e) => {
+      if (e.target.matches('input[name="quantity"]')) {
+        this.validateQuantityInput(e.target);
+      }
+    });
+
+    // Save the cart note and attribute fields once the shopper stops typing
+    document.addEventListener('input', (e) => {
+      const field = e.target.closest('[data-cart-note], [data-cart-attribute]');
+      if (field) {
+        clearTimeout(this.fieldTimers.get(field));
+        this.fieldTimers.set(field, setTimeout(() => this.saveCartField(field), this.options.noteDebounce));
+      }
+    });
+
+    // Save straight away when the field loses focus (e.g. heading to checkout)
+    document.addEventListener('change', (e) => {
+      const field = e.target.closest('[data-cart-note], [data-cart-attribute]');
+      if (field) {
+        this.saveCartField(field);
+      }
+    });
+
+    // Listen for discount code forms
+    document.addEventListener('submit', (e) => {
+      const form = e.target.closest('[data-cart-discount-form]');
+      if (form) {
+        e.preventDefault();
+        this.handleDiscountSubmit(form);
+      }
+    });
+
+    // Listen for discount code remove buttons
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-cart-discount-remove]');
+      if (button) {
+        e.preventDefault();
+        this.removeDiscount(button.dataset.cartDiscountRemove).catch(() => {});
+      }
+    });
+
     // Listen for cart icon clicks
     document.addEventListener('click', (e) => {
       const cartTrigger = e.target.closest('[data-cart-trigger]');
@@ -622,35 +1227,54 @@ export class CartManager {
       }
       
       if (!variantId) {
-        throw new Error('Variant ID not found. Please select a product variant.');
+        cartStore?.setError('Variant ID not found. Please select a product variant.');
+        return;
       }
       
       const quantity = parseInt(formData.get('quantity') || '1', 10);
 
+      // Shopify refuses quantities outside the variant's quantity rule, don't send them
+      const quantityInput = form.elements.namedItem('quantity');
+      if (quantityInput instanceof HTMLInputElement && !this.validateQuantityInput(quantityInput)) {
+        quantityInput.reportValidity();
+        return;
+      }
+      if (quantityInput instanceof HTMLInputElement) {
+        cartStore?.setQuantityRule(variantId, getInputQuantityRule(quantityInput));
+      }
+
+      // Custom fields declare their rules in data-property-* attributes
+      if (!validatePropertyFields(getPropertyFields(form))) {
+        return;
+      }
+
       // Collect properties (line item attributes)
       const properties = {};
       for (const [key, value] of formData.entries()) {
-        if (key.startsWith('properties[') && key.endsWith(']')) {
-          const propKey = key.replace('properties[', '').replace(']', '');
-          if (value) {
-            properties[propKey] = value;
-          }
+        const propKey = getPropertyName(key);
+        // Empty file inputs submit a nameless File
+        if (propKey !== null && (value instanceof File ? value.name : value)) {
+          properties[propKey] = value;
         }
       }
 
+      // Empty for one-time purchases (see snippets/selling-plan-picker.liquid)
+      const sellingPlan = formData.get('selling_plan');
+
       // Add item to cart - handle both string and number variant IDs
       const item = {
         id: variantId, // Keep as-is (Shopify accepts both string and number)
         quantity,
         ...(Object.keys(properties).length > 0 && { properties }),
+        ...(sellingPlan && { selling_plan: sellingPlan }),
       };
 
-      console.log('Adding to cart:', item); // Debug log
+      logger.debug('Adding to cart:', item); // Debug log
       await this.addToCart(item);
     } catch (error) {
-      console.error('Error adding to cart:', error);
-      if (cartStore) {
-        cartStore.setError(error.message);
+      // addToCart already showed the error
+      if (isNetworkError(error)) {
+        this.fallbackToNative(error, form);
       }
     } finally {
       if (cartStore) {
@@ -677,12 +1301,13 @@ export class CartManager {
       cartStore.setLoading(true);
     }
 
-    try {
-      const variantId = button.dataset.variantId || button.closest('form')?.querySelector('input[name="id"]')?.value;
-      const quantity = parseInt(button.dataset.quantity || '1', 10);
+    const variantId = button.dataset.variantId || button.closest('form')?.querySelector('input[name="id"]')?.value;
+    const quantity = parseInt(button.dataset.quantity || '1', 10);
 
+    try {
       if (!variantId) {
-        throw new Error('Variant ID not found');
+        cartStore?.setError('Variant ID not found');
+        return;
       }
 
       await this.addToCart({
@@ -690,9 +1315,9 @@ export class CartManager {
         quantity,
       });
     } catch (error) {
-      console.error('Error with quick add:', error);
-      if (cartStore) {
-        cartStore.setError(error.message);
+      // addToCart already showed the error
+      if (isNetworkError(error)) {
+        this.fallbackToNative(error, this.createAddForm(variantId, quantity));
       }
     } finally {
       if (cartStore) {
@@ -703,12 +1328,89 @@ export class CartManager {
     }
   }
 
+  /**
+   * Check a quantity input against the rule in its min, max and step attributes
+   * @param {HTMLInputElement} input - Quantity input
+   * @returns {boolean} Whether the quantity is valid
+   */
+  validateQuantityInput(input) {
+    const message = validateQuantity(parseInt(input.value, 10), getInputQuantityRule(input));
+    input.setCustomValidity(message || '');
+    return !message;
+  }
+
+  /**
+   * Hand an add over to the browser when the AJAX cart can't reach Shopify
+   * A timed-out request may still have reached Shopify, so instead of posting
+   * the item a second time the shopper is sent to the cart page.
+   * Fires cart:fallback (cancellable, listeners may flip `detail.redirect`).
+   * @param {Error} error - Network error from CartAPI
+   * @param {HTMLFormElement} form - Product form to submit natively
+   * @returns {boolean} Whether the page is navigating away
+   */
+  fallbackToNative(error, form) {
+    const root = window.Shopify?.routes?.root || '/';
+    const fallbackEvent = dispatchCartEvent(
+      CART_EVENTS.FALLBACK,
+      { action: 'add', error, form, redirect: error.name === 'TimeoutError' },
+      { cancelable: true }
+    );
+    if (fallbackEvent.defaultPrevented) {
+      return false;
+    }
+
+    if (fallbackEvent.detail.redirect) {
+      logger.warn('Cart request timed out, redirecting to the cart page:', error);
+      window.location.assign(`${root}cart`);
+      return true;
+    }
+
+    logger.warn('Cart request failed, submitting the form natively:', error);
+    form.action = `${root}cart/add`;
+    form.method = 'post';
+    if ([...form.elements].some(field => field.type === 'file')) {
+      form.enctype = 'multipart/form-data';
+    }
+    // form.submit() skips our submit listener; call it from the prototype in case an input is named "submit"
+    HTMLFormElement.prototype.submit.call(form);
+    return true;
+  }
+
+  /**
+   * Build a hidden product form for adding a variant without JavaScript
+   * @param {string|number} variantId - Variant ID
+   * @param {number} quantity - Quantity
+   * @returns {HTMLFormElement}
+   */
+  createAddForm(variantId, quantity) {
+    const form = document.createElement('form');
+    form.hidden = true;
+    Object.entries({ id: variantId, quantity }).forEach(([name, value]) => {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.append(input);
+    });
+    document.body.append(form);
+    return form;
+  }
+
   /**
    * Add item(s) to cart
+   * Fires cart:before-add (cancellable, listeners may replace `detail.item`) and cart:add.
    * @param {Object|Array} itemOrItems - Single item or array of items
    * @param {boolean} openCart - Whether to open side cart after adding
+   * @returns {Promise<Object|null>} Cart, or null if a listener cancelled the add
    */
   async addToCart(itemOrItems, openCart = true) {
+    const previousCart = this.api.cart;
+    const beforeEvent = dispatchCartEvent(CART_EVENTS.BEFORE_ADD, { item: itemOrItems, previousCart }, { cancelable: true });
+    if (beforeEvent.defaultPrevented) {
+      return null;
+    }
+    itemOrItems = beforeEvent.detail.item;
+
     const cartStore = this.getCartStore();
     if (cartStore) {
       cartStore.setLoading(true);
@@ -725,46 +1427,14 @@ export class CartManager {
         cart = await this.api.addItem(itemOrItems);
       }
 
-      // Update store
-      if (cartStore) {
-        console.log('CartManager.addToCart - Updating store with cart:', cart);
-        
-        // CRITICAL: Update Alpine store directly for reactivity
-        if (typeof window.Alpine !== 'undefined') {
-          const store = window.Alpine.store('cart');
-          if (store) {
-            // Direct property assignment to trigger Alpine reactivity
-            const items = Array.isArray(cart.items) ? cart.items : [];
-            store.items = items;
-            store.item_count = cart.item_count || 0;
-            store.total_price = cart.total_price || 0;
-            store.formatted_total = store.formatMoney(cart.total_price || 0);
-            store.error = null;
-            
-            console.log('CartManager.addToCart - Directly updated Alpine store:', {
-              items: store.items,
-              itemsLength: store.items.length,
-              item_count: store.item_count
-            });
-            
-            // Also call updateCart for consistency
-            cartStore.updateCart(cart);
-            
-            // Use Alpine's nextTick to ensure DOM updates
-            window.Alpine.nextTick(() => {
-              console.log('Alpine nextTick - Store items after update:', store.items);
-            });
-          } else {
-            // Fallback to cartStore method if Alpine store not available
-            cartStore.updateCart(cart);
-          }
-        } else {
-          // Fallback if Alpine not available
-          cartStore.updateCart(cart);
-        }
-      } else {
-        console.warn('CartManager.addToCart - No cart store available');
-      }
+      cartStore?.applyCart(cart);
+
+      this.renderSections(cart.sections);
+      dispatchCartEvent(CART_EVENTS.ADD, { item: itemOrItems, previousCart, cart });
+
+      // Load "complete the look" products for the drawer without holding up the add
+      const addedItems = Array.isArray(itemOrItems) ? itemOrItems : [itemOrItems];
+      this.loadRecommendations(cart, addedItems[addedItems.length - 1]);
 
       // Open side cart with longer delay to ensure Alpine updates
       if (openCart) {
@@ -776,10 +1446,11 @@ export class CartManager {
 
       return cart;
     } catch (error) {
-      console.error('Error adding to cart:', error);
+      logger.error('Error adding to cart:', error);
       if (cartStore) {
-        cartStore.setError(error.message);
+        cartStore.setError(this.describeAddError(itemOrItems, error));
       }
+      dispatchCartEvent(CART_EVENTS.ERROR, { action: 'add', error, item: itemOrItems, previousCart });
       throw error;
     } finally {
       if (cartStore) {
@@ -790,89 +1461,866 @@ export class CartManager {
 
   /**
    * Update item quantity
+   * Fires cart:before-change (cancellable, listeners may replace `detail.quantity`) and cart:change.
    * @param {string} key - Line item key
-   * @param {number} quantity - New quantity
+   * @param {number|Function} quantity - New quantity, or a function receiving the latest quantity
+   * @returns {Promise<Object|null>} Cart, or null if a listener cancelled the change
    */
   async updateQuantity(key, quantity) {
+    const previousCart = this.api.cart;
+    const item = this.findLine(key);
+    const requested = typeof quantity === 'function' ? quantity(item ? item.quantity : 0) : quantity;
+    const beforeEvent = dispatchCartEvent(
+      CART_EVENTS.BEFORE_CHANGE,
+      { item, quantity: requested, previousCart },
+      { cancelable: true }
+    );
+    if (beforeEvent.defaultPrevented) {
+      return null;
+    }
+
+    // Keep relative changes relative unless a listener picked a quantity
+    const nextQuantity = beforeEvent.detail.quantity !== requested ? beforeEvent.detail.quantity : quantity;
+    return this.settleCartEvent(CART_EVENTS.CHANGE, 'change', beforeEvent.detail, this.changeQuantity(key, nextQuantity));
+  }
+
+  /**
+   * Send a quantity change and update the cart UI
+   * @param {string} key - Line item key
+   * @param {number|Function} quantity - New quantity, or a function receiving the latest quantity
+   */
+  async changeQuantity(key, quantity) {
     const cartStore = this.getCartStore();
-    if (cartStore) {
-      // Use item-specific loading state instead of global loading
-      cartStore.setItemUpdating(key, true);
+
+    if (this.options.optimistic && cartStore) {
+      // Resolve relative changes against what the shopper currently sees
+      const item = cartStore.getItem(key);
+      const nextQuantity = typeof quantity === 'function' ? quantity(item ? item.quantity : 0) : quantity;
+      const cart = await this.applyOptimistically(key, nextQuantity, () => this.api.updateItem(key, nextQuantity));
+      this.checkAllowedQuantity(key, nextQuantity, cart);
+      return cart;
     }
 
+    // Use item-specific loading state instead of global loading
+    this.setLineUpdating(key, true);
+
     try {
       const cart = await this.api.updateItem(key, quantity);
 
-      // Update Alpine store directly for reactivity
-      if (cartStore && typeof window.Alpine !== 'undefined') {
-        const store = window.Alpine.store('cart');
-        if (store) {
-          const items = Array.isArray(cart.items) ? cart.items : [];
-          store.items = items;
-          store.item_count = cart.item_count || 0;
-          store.total_price = cart.total_price || 0;
-          store.formatted_total = store.formatMoney(cart.total_price || 0);
-        }
-        cartStore.updateCart(cart);
-      } else if (cartStore) {
-        cartStore.updateCart(cart);
+      cartStore?.applyCart(cart);
+      this.renderSections(cart.sections);
+      // Relative changes were resolved by CartAPI, only fixed quantities can be compared
+      if (typeof quantity === 'number') {
+        this.checkAllowedQuantity(key, quantity, cart);
       }
       return cart;
     } catch (error) {
-      console.error('Error updating quantity:', error);
-      if (cartStore) {
-        cartStore.setError(error.message);
-      }
+      logger.error('Error updating quantity:', error);
+      this.reportLineError(key, error);
       throw error;
     } finally {
-      if (cartStore) {
-        // Clear item-specific loading state
-        cartStore.setItemUpdating(key, false);
-      }
+      // Clear item-specific loading state
+      this.setLineUpdating(key, false);
     }
   }
 
   /**
    * Remove item from cart
+   * Fires cart:before-remove (cancellable) and cart:remove.
    * @param {string} key - Line item key
+   * @returns {Promise<Object|null>} Cart, or null if a listener cancelled the removal
    */
   async removeItem(key) {
+    const previousCart = this.api.cart;
+    const beforeEvent = dispatchCartEvent(
+      CART_EVENTS.BEFORE_REMOVE,
+      { item: this.findLine(key), previousCart },
+      { cancelable: true }
+    );
+    if (beforeEvent.defaultPrevented) {
+      return null;
+    }
+
+    return this.settleCartEvent(CART_EVENTS.REMOVE, 'remove', beforeEvent.detail, this.removeLine(key));
+  }
+
+  /**
+   * Remove a line and update the cart UI
+   * @param {string} key - Line item key
+   */
+  async removeLine(key) {
     const cartStore = this.getCartStore();
-    if (cartStore) {
-      // Use item-specific loading state instead of global loading
-      cartStore.setItemUpdating(key, true);
+
+    if (this.options.optimistic && cartStore) {
+      return this.applyOptimistically(key, 0, () => this.api.removeItem(key));
     }
 
+    // Use item-specific loading state instead of global loading
+    this.setLineUpdating(key, true);
+
     try {
       const cart = await this.api.removeItem(key);
 
-      // Update Alpine store directly for reactivity
-      if (cartStore && typeof window.Alpine !== 'undefined') {
-        const store = window.Alpine.store('cart');
-        if (store) {
-          const items = Array.isArray(cart.items) ? cart.items : [];
-          store.items = items;
-          store.item_count = cart.item_count || 0;
-          store.total_price = cart.total_price || 0;
-          store.formatted_total = store.formatMoney(cart.total_price || 0);
-        }
-        cartStore.updateCart(cart);
-      } else if (cartStore) {
-        cartStore.updateCart(cart);
-      }
+      cartStore?.applyCart(cart);
+      this.renderSections(cart.sections);
       return cart;
     } catch (error) {
-      console.error('Error removing item:', error);
-      if (cartStore) {
-        cartStore.setError(error.message);
+      logger.error('Error removing item:', error);
+      this.reportLineError(key, error);
+      throw error;
+    } finally {
+      // Clear item-specific loading state
+      this.setLineUpdating(key, false);
+    }
+  }
+
+  /**
+   * Replace the properties shoppers can see on a line, keeping its private ones
+   * Shopify moves the line to a new key, derived from its properties.
+   * Fires cart:before-change (cancellable, listeners may replace `detail.properties`) and cart:change.
+   * @param {string} key - Line item key
+   * @param {Object} properties - Visible property name/value pairs, properties left out are removed
+   * @returns {Promise<Object|null>} Cart, or null if a listener cancelled the change
+   */
+  async updateLineProperties(key, properties) {
+    const previousCart = this.api.cart;
+    const item = this.findLine(key);
+    if (!item) {
+      return null;
+    }
+
+    const privateProperties = Object.fromEntries(
+      Object.entries(item.properties || {}).filter(([name]) => isPrivateProperty(name))
+    );
+    const beforeEvent = dispatchCartEvent(
+      CART_EVENTS.BEFORE_CHANGE,
+      { item, quantity: item.quantity, properties: { ...properties, ...privateProperties }, previousCart },
+      { cancelable: true }
+    );
+    if (beforeEvent.defaultPrevented) {
+      return null;
+    }
+
+    return this.settleCartEvent(
+      CART_EVENTS.CHANGE,
+      'change',
+      beforeEvent.detail,
+      this.replaceLineProperties(key, beforeEvent.detail.properties)
+    );
+  }
+
+  /**
+   * Send new line properties and update the cart UI
+   * @param {string} key - Line item key
+   * @param {Object} properties - Every property the line should have
+   */
+  async replaceLineProperties(key, properties) {
+    this.setLineUpdating(key, true);
+    const cartStore = this.getCartStore();
+    const previousKeys = new Set(cartStore?.getState().items.map(item => item.key));
+
+    try {
+      const cart = await this.api.updateItemProperties(key, properties);
+      // New properties give the line a new key, its limit and notice go with it
+      const variantId = cartStore?.getItem(key)?.variant_id;
+      const line = cart.items.find(item => item.variant_id === variantId && !previousKeys.has(item.key));
+      if (line) {
+        cartStore.setLineKey(key, line.key);
       }
+      this.applyConfirmedCart(cart);
+      return cart;
+    } catch (error) {
+      logger.error('Error updating line properties:', error);
+      this.reportLineError(key, error);
       throw error;
     } finally {
-      if (cartStore) {
-        // Clear item-specific loading state
-        cartStore.setItemUpdating(key, false);
+      this.setLineUpdating(key, false);
+    }
+  }
+
+  /**
+   * Handle the property editor form of a cart line
+   * @param {HTMLFormElement} form - Form with data-cart-line-properties
+   */
+  async handlePropertiesSubmit(form) {
+    const fields = getPropertyFields(form);
+    if (!validatePropertyFields(fields)) {
+      return;
+    }
+
+    const properties = {};
+    fields.forEach(field => {
+      const value = getPropertyValue(field);
+      if (value) {
+        properties[getPropertyName(field.name)] = value;
+      }
+    });
+
+    try {
+      await this.updateLineProperties(form.dataset.cartLineProperties, properties);
+    } catch (error) {
+      // Already reported through the store
+    }
+  }
+
+  /**
+   * Send the quantity typed into a line's quantity field
+   * 0 removes the line and offers to undo it. Invalid quantities are explained
+   * under the line instead of being sent.
+   * @param {HTMLInputElement} input - Field with data-cart-line-quantity
+   */
+  commitLineQuantity(input) {
+    const key = input.dataset.cartLineQuantity;
+    clearTimeout(this.quantityTimers.get(key));
+    this.quantityTimers.delete(key);
+
+    // The section was re-rendered while the timer ran, read the field that replaced it
+    if (!input.isConnected) {
+      input = document.activeElement?.closest?.(`[data-cart-line-quantity="${CSS.escape(key)}"]`) || input;
+    }
+
+    const item = this.getCartStore()?.getItem(key);
+    if (!item) {
+      return;
+    }
+
+    const quantity = parseInt(input.value, 10);
+    if (Number.isNaN(quantity)) {
+      // Still typing, or the field was cleared and left
+      if (document.activeElement !== input) {
+        input.value = item.quantity;
+      }
+      return;
+    }
+    if (quantity === item.quantity) {
+      return;
+    }
+    if (quantity === 0) {
+      this.removeWithUndo(key);
+      return;
+    }
+
+    const message = validateQuantity(quantity, this.getLineRule(key));
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (message) {
+      this.setLineNotice(key, message);
+      return;
+    }
+    this.updateQuantity(key, quantity).catch(() => {});
+  }
+
+  /**
+   * Remove a line and keep it in the store so the shopper can undo the removal
+   * @param {string} key - Line item key
+   */
+  async removeWithUndo(key) {
+    const item = this.findLine(key);
+    try {
+      const cart = await this.removeItem(key);
+      if (cart && item) {
+        this.getCartStore()?.setRemovedItem(item);
       }
+    } catch (error) {
+      // Already reported through the store
+    }
+  }
+
+  /**
+   * Add the last line removed by removeWithUndo() back to the cart
+   * Shopify appends it, so it comes back at the end of the list.
+   */
+  async undoRemove() {
+    const cartStore = this.getCartStore();
+    const item = cartStore?.getState().removedItem;
+    if (!item) {
+      return;
+    }
+    cartStore.setRemovedItem(null);
+
+    const properties = item.properties || {};
+    try {
+      await this.addToCart({
+        id: item.variant_id,
+        quantity: item.quantity,
+        ...(Object.keys(properties).length > 0 && { properties }),
+        ...(item.selling_plan_allocation && { selling_plan: item.selling_plan_allocation.selling_plan.id }),
+      }, false);
+    } catch (error) {
+      // Already reported through the store
+    }
+  }
+
+  /**
+   * Fire the after-event for a mutation once it succeeds, or cart:error if it fails
+   * @param {string} name - After-event name from CART_EVENTS
+   * @param {string} action - Action reported with cart:error
+   * @param {Object} detail - Detail from the before-event
+   * @param {Promise<Object>} request - Pending mutation
+   * @returns {Promise<Object>} Cart response
+   */
+  async settleCartEvent(name, action, detail, request) {
+    try {
+      const cart = await request;
+      dispatchCartEvent(name, { ...detail, cart });
+      return cart;
+    } catch (error) {
+      dispatchCartEvent(CART_EVENTS.ERROR, { ...detail, action, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a cart line by key in the store, or in the last cart from Shopify
+   * @param {string} key - Line item key
+   * @returns {Object|null} Copy of the line item, unaffected by later store updates
+   */
+  findLine(key) {
+    const item = this.getCartStore()?.getItem(key) || this.api.cart?.items.find(line => line.key === key);
+    return item ? { ...item } : null;
+  }
+
+  /**
+   * Save the order note
+   * @param {string} note - Note text
+   */
+  async updateNote(note) {
+    try {
+      const cart = await this.api.updateNote(note);
+      this.applyConfirmedCart(cart);
+      return cart;
+    } catch (error) {
+      logger.error('Error updating cart note:', error);
+      this.getCartStore()?.setError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Set cart attributes (merged into the existing ones)
+   * @param {Object} attributes - Attribute name/value pairs
+   */
+  async updateAttributes(attributes) {
+    try {
+      const cart = await this.api.updateAttributes(attributes);
+      this.applyConfirmedCart(cart);
+      return cart;
+    } catch (error) {
+      logger.error('Error updating cart attributes:', error);
+      this.getCartStore()?.setError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a discount code
+   * @param {string} code - Discount code
+   * @returns {Promise<Object>} Cart, the code is listed in `discount_codes` even when not applicable
+   */
+  async applyDiscount(code) {
+    try {
+      const cart = await this.api.applyDiscount(code);
+      this.applyConfirmedCart(cart);
+      return cart;
+    } catch (error) {
+      logger.error('Error applying discount:', error);
+      this.getCartStore()?.setError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a discount code
+   * @param {string} code - Discount code
+   */
+  async removeDiscount(code) {
+    try {
+      const cart = await this.api.removeDiscount(code);
+      this.applyConfirmedCart(cart);
+      return cart;
+    } catch (error) {
+      logger.error('Error removing discount:', error);
+      this.getCartStore()?.setError(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle discount code form submission
+   * @param {HTMLFormElement} form - Form with a `discount` input
+   */
+  async handleDiscountSubmit(form) {
+    const input = form.querySelector('input[name="discount"]');
+    const code = input ? input.value.trim() : '';
+    if (!code) {
+      return;
+    }
+
+    try {
+      const cart = await this.applyDiscount(code);
+      const applied = (cart.discount_codes || []).find(discount => isSameCode(discount.code, code));
+
+      if (applied && !applied.applicable) {
+        this.getCartStore()?.setError(form.dataset.textNotApplicable || 'This discount code can\'t be applied to your cart');
+      } else {
+        input.value = '';
+      }
+    } catch (error) {
+      // Already reported through the store
+    }
+  }
+
+  /**
+   * Save a note or attribute field if its value changed
+   * @param {HTMLInputElement|HTMLTextAreaElement} field - Field with data-cart-note or data-cart-attribute
+   */
+  saveCartField(field) {
+    clearTimeout(this.fieldTimers.get(field));
+    this.fieldTimers.delete(field);
+
+    const { attributes, note } = this.getCartStore().getState();
+    const attribute = field.dataset.cartAttribute;
+
+    if (attribute) {
+      if (attributes[attribute] !== field.value) {
+        this.updateAttributes({ [attribute]: field.value }).catch(() => {});
+      }
+    } else if (note !== field.value) {
+      this.updateNote(field.value).catch(() => {});
+    }
+  }
+
+  /**
+   * Apply a cart confirmed by Shopify unless optimistic changes are still in flight
+   * @param {Object} cart - Cart response
+   */
+  applyConfirmedCart(cart) {
+    const cartStore = this.getCartStore();
+
+    if (this.pendingOptimistic > 0) {
+      this.snapshot = this.takeSnapshot(cart);
+      return;
+    }
+    if (cartStore) {
+      cartStore.applyCart(cart);
+    }
+    this.renderSections(cart.sections);
+  }
+
+  /**
+   * Show a line quantity straight away, then confirm it with Shopify
+   * If the request fails the store rolls back to the last confirmed cart.
+   * @param {string} key - Line item key
+   * @param {number} quantity - New quantity (0 removes the line)
+   * @param {Function} request - Sends the change and resolves with the cart
+   */
+  async applyOptimistically(key, quantity, request) {
+    const cartStore = this.getCartStore();
+
+    if (this.pendingOptimistic === 0) {
+      this.snapshot = this.takeSnapshot(cartStore.getState());
+    }
+    this.pendingOptimistic += 1;
+    this.applyOptimisticQuantity(cartStore, key, quantity);
+
+    try {
+      const cart = await request();
+      this.pendingOptimistic -= 1;
+
+      if (this.pendingOptimistic === 0) {
+        cartStore.applyCart(cart);
+        this.renderSections(cart.sections);
+      } else {
+        // Newer changes are still in flight, keep showing them
+        this.snapshot = this.takeSnapshot(cart);
+      }
+      return cart;
+    } catch (error) {
+      this.pendingOptimistic -= 1;
+      logger.error('Error updating quantity, rolling back:', error);
+      cartStore.applyCart(this.snapshot);
+      this.reportLineError(key, error);
+      this.refreshSections();
+      throw error;
+    }
+  }
+
+  /**
+   * Write a line quantity and the totals it affects into the store
+   * @param {Object} cartStore - Cart store
+   * @param {string} key - Line item key
+   * @param {number} quantity - New quantity (0 removes the line)
+   */
+  applyOptimisticQuantity(cartStore, key, quantity) {
+    const item = cartStore.getItem(key);
+    if (!item) {
+      return;
+    }
+
+    const quantityDelta = quantity - item.quantity;
+    const priceDelta = item.final_price * quantity - item.final_line_price;
+    const originalPriceDelta = item.original_price * quantity - item.original_line_price;
+
+    const {
+      items, item_count, items_subtotal_price, original_total_price, total_price, total_discount,
+    } = cartStore.getState();
+
+    // Cart-shaped patch, applyCart only copies the fields it's given
+    cartStore.applyCart({
+      items: quantity > 0
+        ? items.map(line => (line.key === key ? {
+          ...line,
+          quantity,
+          line_price: line.price * quantity,
+          original_line_price: line.original_price * quantity,
+          final_line_price: line.final_price * quantity,
+        } : line))
+        : items.filter(line => line.key !== key),
+      item_count: Math.max(item_count + quantityDelta, 0),
+      items_subtotal_price: Math.max(items_subtotal_price + priceDelta, 0),
+      original_total_price: Math.max(original_total_price + originalPriceDelta, 0),
+      total_price: Math.max(total_price + priceDelta, 0),
+      // The line's own discount scales with its quantity
+      total_discount: Math.max(total_discount + originalPriceDelta - priceDelta, 0),
+    });
+
+    // Server-rendered markup isn't bound to the store, patch it until fresh HTML arrives
+    document.querySelectorAll('[data-cart-subtotal]').forEach(element => {
+      element.textContent = cartStore.getState().formatted_total;
+    });
+    this.getLineElements(key).forEach(line => {
+      line.hidden = quantity === 0;
+      line.querySelectorAll('[data-cart-line-quantity]').forEach(element => {
+        // Leave a field the shopper is still typing in
+        if (element !== document.activeElement || !this.quantityTimers.has(key)) {
+          element.value = quantity;
+        }
+      });
+      line.querySelectorAll('[data-cart-line-price]').forEach(element => {
+        element.textContent = cartStore.formatMoney(item.final_price * quantity);
+      });
+    });
+    this.renderLineStates();
+  }
+
+  /**
+   * Copy the cart fields needed to restore the store later
+   * @param {Object} source - Cart store or cart response
+   * @returns {Object} Cart-shaped snapshot
+   */
+  takeSnapshot(source) {
+    return JSON.parse(JSON.stringify({
+      items: source.items,
+      item_count: source.item_count,
+      items_subtotal_price: source.items_subtotal_price,
+      original_total_price: source.original_total_price,
+      total_price: source.total_price,
+      total_discount: source.total_discount,
+    }));
+  }
+
+  /**
+   * Load complementary products for the last added item into the store
+   * The drawer hides products already in the cart, so the list follows every cart change.
+   * @param {Object} cart - Cart returned by the add request
+   * @param {Object} item - Last item sent to /cart/add.js
+   */
+  async loadRecommendations(cart, item) {
+    const limit = window.theme?.settings?.cartRecommendationsLimit || 0;
+    const cartStore = this.getCartStore();
+    const line = (cart.items || []).find(cartItem => String(cartItem.variant_id) === String(item?.id));
+
+    if (!limit || !cartStore || !line) {
+      return;
+    }
+
+    try {
+      cartStore.setRecommendations(await this.recommendations.load(line.product_id));
+    } catch (error) {
+      // Recommendations are optional, keep whatever the drawer already shows
+      logger.error('Error loading cart recommendations:', error);
+    }
+  }
+
+  /**
+   * Collect the cart section IDs rendered on this page
+   * @returns {Array<string>} Unique section IDs (the Section Rendering API accepts 5)
+   */
+  getSectionIds() {
+    const ids = [...document.querySelectorAll('[data-cart-section]')].map(element => element.dataset.cartSection);
+    return [...new Set(ids)].slice(0, 5);
+  }
+
+  /**
+   * Swap server-rendered section HTML into the page
+   * Falls back to the Alpine templates when the drawer section is missing.
+   * @param {Object} sections - Map of section ID to HTML from the Section Rendering API
+   */
+  renderSections(sections) {
+    const cartStore = this.getCartStore();
+
+    if (!sections || !sections['cart-drawer']) {
+      if (cartStore && this.api.sections.length > 0) {
+        cartStore.setClientRendering(true);
+      }
+      return;
+    }
+
+    const focus = this.captureQuantityFocus();
+    const parser = new DOMParser();
+    Object.entries(sections).forEach(([id, html]) => {
+      if (!html) {
+        return;
+      }
+      const selector = `[data-cart-section="${id}"]`;
+      const source = parser.parseFromString(html, 'text/html').querySelector(selector);
+      if (!source) {
+        return;
+      }
+      document.querySelectorAll(selector).forEach(target => {
+        target.innerHTML = source.innerHTML;
+      });
+    });
+    this.restoreQuantityFocus(focus);
+
+    if (cartStore) {
+      cartStore.setClientRendering(false);
+      // Fresh HTML starts from its Liquid values, e.g. the cart page's free shipping bar
+      renderElements(cartStore.getState());
+    }
+    // Fresh HTML doesn't know about limits and notices learned from Shopify's responses
+    this.renderLineStates();
+  }
+
+  /**
+   * Remember the focused line quantity field before its section is replaced
+   * @returns {Object|null} { section, key, value, typing }
+   */
+  captureQuantityFocus() {
+    const input = document.activeElement?.closest?.('[data-cart-line-quantity]');
+    const section = input?.closest('[data-cart-section]');
+    if (!section) {
+      return null;
+    }
+
+    const key = input.dataset.cartLineQuantity;
+    return {
+      section: section.dataset.cartSection,
+      key,
+      value: input.value,
+      typing: this.quantityTimers.has(key),
+    };
+  }
+
+  /**
+   * Focus the new quantity field for the line that had focus
+   * @param {Object|null} focus - Result of captureQuantityFocus()
+   */
+  restoreQuantityFocus(focus) {
+    if (!focus) {
+      return;
+    }
+
+    const input = document.querySelector(
+      `[data-cart-section="${focus.section}"] [data-cart-line-quantity="${CSS.escape(focus.key)}"]`
+    );
+    if (!input || input === document.activeElement) {
+      return;
+    }
+    // Keep digits typed since the last commit, the pending timer still sends them
+    if (focus.typing) {
+      input.value = focus.value;
+    }
+    input.focus({ preventScroll: true });
+  }
+
+  /**
+   * Re-render cart sections without a mutation (e.g. after a rollback or a change in another tab)
+   */
+  async refreshSections() {
+    if (this.api.sections.length === 0) {
+      return;
+    }
+
+    try {
+      this.renderSections(await this.api.getSections());
+    } catch (error) {
+      logger.error('Error refreshing cart sections:', error);
+      this.renderSections(null);
+    }
+  }
+
+  /**
+   * Find the server-rendered elements for a line item
+   * @param {string} key - Line item key
+   * @returns {NodeList}
+   */
+  getLineElements(key) {
+    return document.querySelectorAll(`[data-cart-line="${CSS.escape(key)}"]`);
+  }
+
+  /**
+   * Mark a line as updating in the store and in server-rendered markup
+   * @param {string} key - Line item key
+   * @param {boolean} isUpdating - Updating state
+   */
+  setLineUpdating(key, isUpdating) {
+    const cartStore = this.getCartStore();
+    if (cartStore) {
+      cartStore.setItemUpdating(key, isUpdating);
+    }
+    this.getLineElements(key).forEach(line => {
+      line.setAttribute('aria-busy', isUpdating ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Highest quantity allowed for a line
+   * The lower of the stock rendered by Liquid (data-cart-line-max) and the
+   * quantity Shopify allowed in an earlier response.
+   * @param {string} key - Line item key
+   * @returns {number|null} null when there's no known limit
+   */
+  getLineLimit(key) {
+    const limits = [this.getCartStore()?.getState().lineLimits[key]];
+    this.getLineElements(key).forEach(line => {
+      limits.push(parseInt(line.dataset.cartLineMax, 10));
+    });
+
+    const known = limits.filter(Number.isFinite);
+    return known.length > 0 ? Math.min(...known) : null;
+  }
+
+  /**
+   * Quantity rule for a line, with its maximum lowered to the line's limit
+   * @param {string} key - Line item key
+   * @returns {{ min: number, max: number|null, increment: number }}
+   */
+  getLineRule(key) {
+    const line = this.getLineElements(key)[0];
+    if (!line) {
+      // Lines rendered from Alpine templates carry no rule, the store remembers it by variant
+      return this.getCartStore()?.getLineRule(key) || normalizeQuantityRule();
+    }
+    return normalizeQuantityRule({
+      min: line?.dataset.cartLineMin,
+      max: this.getLineLimit(key),
+      increment: line?.dataset.cartLineIncrement,
+    });
+  }
+
+  /**
+   * Show a notice under a line instead of a cart-wide error
+   * @param {string} key - Line item key
+   * @param {string|null} message - Notice text, null clears it
+   */
+  setLineNotice(key, message) {
+    const cartStore = this.getCartStore();
+    if (cartStore) {
+      cartStore.setLineNotice(key, message);
+    }
+    this.renderLineStates();
+  }
+
+  /**
+   * Patch line notices and quantity steppers in server-rendered markup
+   */
+  renderLineStates() {
+    const cartStore = this.getCartStore();
+    if (!cartStore) {
+      return;
+    }
+
+    const { lineNotices } = cartStore.getState();
+    document.querySelectorAll('[data-cart-line]').forEach(line => {
+      const key = line.dataset.cartLine;
+      const item = cartStore.getItem(key);
+      const rule = this.getLineRule(key);
+      const notice = lineNotices[key] || '';
+
+      if (item) {
+        // Keep the rule for when the drawer falls back to client rendering
+        cartStore.setQuantityRule(item.variant_id, {
+          min: line.dataset.cartLineMin,
+          max: line.dataset.cartLineMax,
+          increment: line.dataset.cartLineIncrement,
+        });
+        line.querySelectorAll('[data-cart-increment]').forEach(button => {
+          button.disabled = stepQuantity(item.quantity, rule, 1) === null;
+        });
+        line.querySelectorAll('[data-cart-decrement]').forEach(button => {
+          button.disabled = stepQuantity(item.quantity, rule, -1) === null;
+        });
+      }
+      line.querySelectorAll('[data-cart-line-notice]').forEach(element => {
+        element.textContent = notice;
+        element.hidden = !notice;
+      });
+    });
+  }
+
+  /**
+   * Show why a line change failed
+   * Stock problems (422) are shown on the line and remembered as its limit,
+   * anything else as a cart-wide error.
+   * @param {string} key - Line item key
+   * @param {Error} error - Error thrown by CartAPI
+   */
+  reportLineError(key, error) {
+    const cartStore = this.getCartStore();
+    if (!cartStore) {
+      return;
+    }
+    if (error.status !== 422) {
+      cartStore.setError(error.message);
+      return;
+    }
+
+    const item = cartStore.getItem(key);
+    const { message, limit } = describeCartError(error, { action: 'change', quantity: item ? item.quantity : 0 });
+    if (limit !== null) {
+      cartStore.setLineLimit(key, limit);
+    }
+    this.setLineNotice(key, message);
+  }
+
+  /**
+   * Compare the quantity Shopify kept with the one requested
+   * Shopify can lower a quantity to the available stock instead of rejecting it.
+   * @param {string} key - Line item key
+   * @param {number} requested - Quantity sent to /cart/change.js
+   * @param {Object} cart - Cart response
+   */
+  checkAllowedQuantity(key, requested, cart) {
+    const cartStore = this.getCartStore();
+    const line = (cart.items || []).find(item => item.key === key);
+    if (!cartStore || !line) {
+      return;
+    }
+
+    if (line.quantity < requested) {
+      cartStore.setLineLimit(key, line.quantity);
+      this.setLineNotice(key, getQuantityLimitMessage(line.quantity));
+    } else {
+      this.setLineNotice(key, null);
+    }
+  }
+
+  /**
+   * Message for a failed add, noting stock limits on the line already in the cart
+   * @param {Object|Array} itemOrItems - Payload sent to /cart/add.js
+   * @param {Error} error - Error thrown by CartAPI
+   * @returns {string} Message for the cart-wide error
+   */
+  describeAddError(itemOrItems, error) {
+    const item = Array.isArray(itemOrItems) ? null : itemOrItems;
+    const line = item && this.api.cart?.items.find(cartItem => String(cartItem.variant_id) === String(item.id));
+    const { message, limit } = describeCartError(error, { action: 'add', quantity: line ? line.quantity : 0 });
+
+    if (line && limit !== null) {
+      this.getCartStore()?.setLineLimit(line.key, limit);
+      this.setLineNotice(line.key, message);
     }
+    return message;
   }
 
   /**
@@ -884,8 +2332,15 @@ export class CartManager {
         const cartStore = this.getCartStore();
         if (cartStore) {
           const item = cartStore.getItem(key);
-          if (item) {
-            this.updateQuantity(key, item.quantity + 1);
+          const rule = this.getLineRule(key);
+          if (item && stepQuantity(item.quantity, rule, 1) === null) {
+            // Shopify would refuse it, explain why instead
+            if (rule.max !== null) {
+              this.setLineNotice(key, getQuantityLimitMessage(rule.max));
+            }
+          } else if (item) {
+            // Relative change so rapid clicks build on the newest quantity, moving by the rule's increment
+            this.updateQuantity(key, quantity => stepQuantity(quantity, rule, 1) ?? quantity).catch(() => {});
           }
         }
       },
@@ -893,13 +2348,15 @@ export class CartManager {
         const cartStore = this.getCartStore();
         if (cartStore) {
           const item = cartStore.getItem(key);
-          if (item && item.quantity > 1) {
-            this.updateQuantity(key, item.quantity - 1);
+          const rule = this.getLineRule(key);
+          if (item && stepQuantity(item.quantity, rule, -1) !== null) {
+            this.updateQuantity(key, quantity => stepQuantity(quantity, rule, -1) ?? quantity).catch(() => {});
           }
         }
       },
       removeItem: (key) => {
-        this.removeItem(key);
+        // Failures are already reported through the store
+        this.removeItem(key).catch(() => {});
       },
       openCart: () => {
         this.sideCart.open();
@@ -0,0 +1,282 @@
+/**
+ * Analytics
+ * Turns cart and product events into GA4-style ecommerce events and hands
+ * them to pluggable adapters (dataLayer, Shopify custom pixel events, console).
+ *
+ *   add_to_cart       cart:add, or cart:change with a higher quantity
+ *   remove_from_cart  cart:remove, or cart:change with a lower quantity
+ *   view_cart         cart:open
+ *   view_item         product:viewed (VariantSelector on load)
+ *   select_item       variant:changed (VariantSelector)
+ *
+ * Nothing is sent while the Customer Privacy API reports that analytics
+ * processing isn't allowed.
+ *
+ * An adapter is any object with a `send(name, payload)` method:
+ *   window.analytics.use(consoleAdapter);
+ */
+
+import { CART_EVENTS } from './cart-events.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('analytics');
+
+/**
+ * Push events to Google Tag Manager / gtag's dataLayer
+ */
+export const dataLayerAdapter = {
+  send(name, payload) {
+    window.dataLayer = window.dataLayer || [];
+    // Clear the previous ecommerce object so fields don't leak between events
+    window.dataLayer.push({ ecommerce: null });
+    window.dataLayer.push({ event: name, ecommerce: payload });
+  },
+};
+
+/**
+ * Publish Shopify custom events, readable from custom pixels with analytics.subscribe()
+ */
+export const shopifyAnalyticsAdapter = {
+  send(name, payload) {
+    if (window.Shopify?.analytics?.publish) {
+      window.Shopify.analytics.publish(name, payload);
+    }
+  },
+};
+
+/**
+ * Log events for debugging, registered automatically with ?debug=analytics
+ */
+export const consoleAdapter = {
+  send(name, payload) {
+    logger.info(name, payload);
+  },
+};
+
+/**
+ * Convert cents to the decimal amount analytics tools expect
+ * @param {number} cents - Amount in cents
+ * @returns {number}
+ */
+function toAmount(cents) {
+  return Math.round(cents || 0) / 100;
+}
+
+/**
+ * Build an analytics item from a cart line
+ * @param {Object} line - Cart line item
+ * @param {number} quantity - Quantity to report
+ * @returns {Object}
+ */
+function itemFromLine(line, quantity = line.quantity) {
+  return {
+    item_id: String(line.product_id),
+    item_name: line.product_title,
+    item_brand: line.vendor,
+    item_category: line.product_type,
+    item_variant: line.variant_title || undefined,
+    item_variant_id: String(line.variant_id),
+    price: toAmount(line.final_price),
+    quantity,
+  };
+}
+
+/**
+ * Build an analytics item from VariantSelector product data
+ * @param {Object} product - Product JSON
+ * @param {Object} variant - Selected variant
+ * @returns {Object}
+ */
+function itemFromProduct(product, variant) {
+  return {
+    item_id: String(product.id),
+    item_name: product.title,
+    item_brand: product.vendor,
+    item_category: product.type,
+    item_variant: variant.title,
+    item_variant_id: String(variant.id),
+    price: toAmount(variant.price),
+    quantity: 1,
+  };
+}
+
+export class Analytics {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.adapters - Adapters to send events to
+   * @param {Function} options.getCart - Returns the latest cart, used for view_cart
+   */
+  constructor({ adapters = [], getCart = () => null } = {}) {
+    this.adapters = [...adapters];
+    this.getCart = getCart;
+    this.lastSettled = null; // { previousCart, cart } of the last add, change or removal
+    this.ready = this.loadPrivacyApi();
+    this.listen();
+  }
+
+  /**
+   * Register another adapter
+   * @param {Object} adapter - Object with a send(name, payload) method
+   */
+  use(adapter) {
+    this.adapters.push(adapter);
+  }
+
+  /**
+   * Load the Customer Privacy API so consent can be checked before sending
+   * @returns {Promise<void>} Resolves once the API is loaded, or can't be
+   */
+  loadPrivacyApi() {
+    return new Promise((resolve) => {
+      if (window.Shopify?.customerPrivacy || !window.Shopify?.loadFeatures) {
+        resolve();
+        return;
+      }
+
+      window.Shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+        if (error) {
+          logger.error('Customer Privacy API failed to load:', error);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether the customer allows analytics
+   * @returns {boolean}
+   */
+  isTrackingAllowed() {
+    const privacy = window.Shopify?.customerPrivacy;
+    if (!privacy) {
+      // Consent isn't managed on this storefront
+      return true;
+    }
+    if (typeof privacy.analyticsProcessingAllowed === 'function') {
+      return privacy.analyticsProcessingAllowed();
+    }
+    if (typeof privacy.userCanBeTracked === 'function') {
+      return privacy.userCanBeTracked();
+    }
+    return true;
+  }
+
+  /**
+   * Send an event to every adapter, if the customer allows it
+   * @param {string} name - GA4 event name
+   * @param {Object} payload - { currency, value, items }
+   */
+  async track(name, payload) {
+    await this.ready;
+    if (!this.isTrackingAllowed()) {
+      return;
+    }
+
+    this.adapters.forEach(adapter => {
+      try {
+        adapter.send(name, payload);
+      } catch (error) {
+        logger.error(`Adapter failed to send ${name}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Send an ecommerce event for a list of items
+   * @param {string} name - GA4 event name
+   * @param {Array<Object>} items - Analytics items
+   */
+  trackItems(name, items) {
+    if (items.length === 0) {
+      return;
+    }
+
+    this.track(name, {
+      currency: window.Shopify?.currency?.active,
+      value: items.reduce((total, item) => total + item.price * item.quantity, 0),
+      items,
+    });
+  }
+
+  /**
+   * Subscribe to cart and product events
+   */
+  listen() {
+    document.addEventListener(CART_EVENTS.ADD, (event) => {
+      this.handleAdd(event.detail);
+      this.lastSettled = event.detail;
+    });
+    document.addEventListener(CART_EVENTS.CHANGE, (event) => {
+      this.handleChange(event.detail);
+      this.lastSettled = event.detail;
+    });
+    document.addEventListener(CART_EVENTS.REMOVE, (event) => {
+      this.lastSettled = event.detail;
+      const { item } = event.detail;
+      if (item) {
+        this.trackItems('remove_from_cart', [itemFromLine(item)]);
+      }
+    });
+    document.addEventListener(CART_EVENTS.OPEN, () => {
+      const cart = this.getCart();
+      if (cart) {
+        this.trackItems('view_cart', cart.items.map(line => itemFromLine(line)));
+      }
+    });
+    document.addEventListener('product:viewed', (event) => {
+      const { product, variant } = event.detail;
+      this.trackItems('view_item', [itemFromProduct(product, variant)]);
+    });
+    document.addEventListener('variant:changed', (event) => {
+      const { product, variant } = event.detail;
+      this.trackItems('select_item', [itemFromProduct(product, variant)]);
+    });
+  }
+
+  /**
+   * Report the items sent to /cart/add.js, priced from the returned cart
+   * @param {Object} detail - cart:add detail
+   */
+  handleAdd({ item, cart }) {
+    const added = Array.isArray(item) ? item : [item];
+    const items = added
+      .map(({ id, quantity = 1 }) => {
+        const line = cart.items.find(cartItem => String(cartItem.variant_id) === String(id));
+        return line ? itemFromLine(line, Number(quantity)) : null;
+      })
+      .filter(Boolean);
+
+    this.trackItems('add_to_cart', items);
+  }
+
+  /**
+   * Report a quantity change as an add or a removal of the difference
+   * Compares the quantity in the returned cart, which Shopify may have
+   * lowered to the stock or quantity rule, with the quantity before the
+   * request. Changes queued from the same cart (rapid stepper clicks) start
+   * where the one before them settled, merged ones share a cart and are
+   * counted once.
+   * @param {Object} detail - cart:change detail
+   */
+  handleChange({ item, quantity, previousCart, cart }) {
+    if (!item || !cart) {
+      return;
+    }
+
+    const line = cart.items.find(cartItem => cartItem.key === item.key);
+    // New properties replace the line under another key, its quantity didn't change
+    if (!line && quantity > 0) {
+      return;
+    }
+
+    const before = this.lastSettled?.previousCart === previousCart ? this.lastSettled.cart : previousCart;
+    const previousLine = before?.items.find(cartItem => cartItem.key === item.key);
+    const delta = (line ? line.quantity : 0) - (previousLine ? previousLine.quantity : item.quantity);
+
+    if (delta > 0) {
+      this.trackItems('add_to_cart', [itemFromLine(item, delta)]);
+    } else if (delta < 0) {
+      this.trackItems('remove_from_cart', [itemFromLine(item, -delta)]);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Cart Errors
+ * Turns Cart API error responses into messages for shoppers.
+ *
+ * Shopify answers 422 when a quantity can't be fulfilled, with a description
+ * such as "You can only add 3 Hat to the cart." (change.js and add.js),
+ * "All 3 Hat are in your cart." (add.js) or "The product 'Hat' is already
+ * sold out.". Shoppers never see that raw text: the quantity Shopify allows
+ * is read from it, and the message comes from the theme's locale
+ * (`cart.errors` in locales/en.default.json, exposed as window.theme.strings).
+ */
+
+import { getString } from './theme-strings.js';
+
+/**
+ * Message shown when a line has reached the quantity Shopify allows
+ * @param {number} limit - Highest quantity allowed in the cart
+ * @returns {string}
+ */
+export function getQuantityLimitMessage(limit) {
+  return getString('cartQuantityLimit', 'You can only have [quantity] of this item in your cart.')
+    .replace('[quantity]', limit);
+}
+
+/**
+ * Describe a failed cart request
+ * @param {Error} error - Error thrown by CartAPI, with the response `status` and Shopify's `description`
+ * @param {Object} context
+ * @param {string} context.action - 'add' or 'change'
+ * @param {number} context.quantity - Quantity of the line already in the cart
+ * @returns {{ message: string, limit: number|null }} Message to show, and the highest
+ *   quantity Shopify allows for the line when the description reveals it
+ */
+export function describeCartError(error, { action = 'change', quantity = 0 } = {}) {
+  // Adds give up when the connection doesn't return in time (see CartAPI's offlineTimeout)
+  if (error?.name === 'OfflineError') {
+    return { message: getString('cartOffline', 'You\'re offline. Check your connection and try again.'), limit: null };
+  }
+  if (error?.status !== 422) {
+    return { message: error?.message || getString('cartUnavailable', 'Your cart couldn\'t be updated. Please try again.'), limit: null };
+  }
+
+  const description = error.description || '';
+
+  // Checked first, product titles can contain numbers
+  if (/sold out/i.test(description)) {
+    return {
+      message: getString('cartSoldOut', 'This item is sold out.'),
+      limit: quantity > 0 ? quantity : null,
+    };
+  }
+
+  // Only the known phrasings, a product title can hold other numbers
+  const onlyMatch = description.match(/only add (\d+)/i);
+  const allMatch = description.match(/^All (\d+)/i);
+  if (!onlyMatch && !allMatch) {
+    return { message: getString('cartUnavailable', 'Your cart couldn\'t be updated. Please try again.'), limit: null };
+  }
+
+  // Changes are told the total allowed, adds how many more fit unless everything is already in the cart
+  const limit = allMatch || action !== 'add'
+    ? parseInt((allMatch || onlyMatch)[1], 10)
+    : quantity + parseInt(onlyMatch[1], 10);
+
+  return { message: getQuantityLimitMessage(limit), limit };
+}
@@ -0,0 +1,73 @@
+/**
+ * Cart Events
+ * DOM events dispatched on `document` by CartManager and SideCart so other
+ * scripts can follow and shape what the cart does.
+ *
+ * Every mutation fires a cancellable `cart:before-*` event first. Listeners can
+ * call `event.preventDefault()` to veto it, or change `event.detail.item` /
+ * `event.detail.quantity` to alter the request. Property edits made in the
+ * cart are changes too, with the line's new `properties` in the detail. The matching after-event fires
+ * once Shopify has confirmed the change, and `cart:error` fires if it fails.
+ *
+ *   cart:before-add     { item, previousCart }               cancellable
+ *   cart:add            { item, previousCart, cart }
+ *   cart:before-change  { item, quantity, previousCart }     cancellable
+ *   cart:change         { item, quantity, previousCart, cart }
+ *   cart:before-remove  { item, previousCart }               cancellable
+ *   cart:remove         { item, previousCart, cart }
+ *   cart:before-open    { trigger }                          cancellable
+ *   cart:open           { trigger }
+ *   cart:before-close   { trigger }                          cancellable
+ *   cart:close          { trigger }
+ *   cart:error          { action, error, item, previousCart }
+ *   cart:fallback       { action, error, form, redirect }    cancellable
+ *
+ * `item` is the payload sent to /cart/add.js for adds (an array for bundles)
+ * and the cart line for changes and removals. `previousCart` is the last cart
+ * confirmed by Shopify and may be null before the cart has loaded.
+ *
+ * `cart:fallback` fires when an add got no response from Shopify and the
+ * theme is about to post `form` natively to /cart/add. When the request timed
+ * out it may have been applied, so `redirect` is true and the shopper goes to
+ * the cart page instead. Cancel it to keep the shopper on the page. Adds that
+ * gave up waiting offline (CartAPI's `offlineTimeout`) show the offline error
+ * instead, a native post would fail too.
+ *
+ * Example:
+ *   document.addEventListener('cart:before-add', (event) => {
+ *     if (event.detail.item.quantity > 5) event.preventDefault();
+ *   });
+ */
+
+export const CART_EVENTS = {
+  BEFORE_ADD: 'cart:before-add',
+  ADD: 'cart:add',
+  BEFORE_CHANGE: 'cart:before-change',
+  CHANGE: 'cart:change',
+  BEFORE_REMOVE: 'cart:before-remove',
+  REMOVE: 'cart:remove',
+  BEFORE_OPEN: 'cart:before-open',
+  OPEN: 'cart:open',
+  BEFORE_CLOSE: 'cart:before-close',
+  CLOSE: 'cart:close',
+  ERROR: 'cart:error',
+  FALLBACK: 'cart:fallback',
+};
+
+/**
+ * Dispatch a cart event on document
+ * @param {string} name - One of CART_EVENTS
+ * @param {Object} detail - Event payload, listeners may modify it
+ * @param {Object} options
+ * @param {boolean} options.cancelable - Whether listeners can veto the action
+ * @returns {CustomEvent} The dispatched event, check `defaultPrevented` and `detail`
+ */
+export function dispatchCartEvent(name, detail = {}, { cancelable = false } = {}) {
+  const event = new CustomEvent(name, {
+    detail,
+    bubbles: true,
+    cancelable,
+  });
+  document.dispatchEvent(event);
+  return event;
+}
@@ -0,0 +1,50 @@
+/**
+ * Cart Recommendations
+ * Loads complementary products for the last product added to the cart
+ * using Shopify's Product Recommendations API
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cart:recommendations');
+
+export class CartRecommendations {
+  constructor() {
+    this.productId = null;
+    this.products = [];
+  }
+
+  /**
+   * Fetch complementary products
+   * The API returns at most 10; the drawer filters out products already in the cart.
+   * @param {number|string} productId - Product to recommend for
+   * @returns {Promise<Array>} Products from /recommendations/products.json
+   */
+  async load(productId) {
+    if (String(productId) === String(this.productId)) {
+      return this.products;
+    }
+
+    try {
+      const root = window.Shopify?.routes?.root || '/';
+      const url = new URL(`${root}recommendations/products.json`, window.location.origin);
+      url.searchParams.set('product_id', productId);
+      url.searchParams.set('limit', 10);
+      url.searchParams.set('intent', 'complementary');
+
+      const response = await fetch(url.toString());
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch recommendations');
+      }
+
+      const { products } = await response.json();
+      this.productId = productId;
+      this.products = Array.isArray(products) ? products : [];
+      return this.products;
+    } catch (error) {
+      logger.error('Error fetching recommendations:', error);
+      throw error;
+    }
+  }
+}
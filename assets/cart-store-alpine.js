@@ -0,0 +1,80 @@
+/**
+ * Cart Store Alpine Binding
+ * Mirrors the observable cart store into Alpine's `$store.cart` so cart
+ * templates can bind to it. Alpine is optional: without it the store and
+ * CartManager work on their own.
+ */
+
+import { formatMoney } from './money.js';
+import { getLineRule } from './cart-store.js';
+import { stepQuantity } from './quantity-rules.js';
+
+/**
+ * Register `$store.cart` and keep it in step with the cart store
+ * Call during alpine:init, before Alpine processes the page.
+ * @param {Object} store - CartStore instance
+ * @param {Object} Alpine - Alpine.js global
+ * @returns {Function} Unsubscribe from the cart store
+ */
+export function bindAlpine(store, Alpine) {
+  Alpine.store('cart', {
+    ...store.getState(),
+
+    /**
+     * Format money value
+     * @param {number} cents - Price in cents
+     * @returns {string} Formatted price
+     */
+    formatMoney(cents) {
+      return formatMoney(cents);
+    },
+
+    /**
+     * Get item by key
+     * @param {string} key - Line item key
+     * @returns {Object|null} Cart item
+     */
+    getItem(key) {
+      return this.items.find(item => item.key === key) || null;
+    },
+
+    /**
+     * Quantity rule for a line, with its maximum lowered to the line's limit
+     * @param {string} key - Line item key
+     * @returns {{ min: number, max: number|null, increment: number }}
+     */
+    getLineRule(key) {
+      return getLineRule(this, this.getItem(key));
+    },
+
+    /**
+     * Check if a line's quantity can move up or down without breaking its rule
+     * @param {string} key - Line item key
+     * @param {number} direction - 1 to step up, -1 to step down
+     * @returns {boolean}
+     */
+    canStepQuantity(key, direction) {
+      const item = this.getItem(key);
+      return Boolean(item) && stepQuantity(item.quantity, this.getLineRule(key), direction) !== null;
+    },
+
+    /**
+     * Check if an item is updating
+     * @param {string} key - Line item key
+     * @returns {boolean}
+     */
+    isItemUpdating(key) {
+      return this.updatingItems.has(key);
+    },
+  });
+
+  // Assign field by field so Alpine only re-renders what changed
+  const alpineStore = Alpine.store('cart');
+  return store.subscribe((state) => {
+    Object.keys(state).forEach(field => {
+      if (alpineStore[field] !== state[field]) {
+        alpineStore[field] = state[field];
+      }
+    });
+  });
+}
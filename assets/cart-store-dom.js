@@ -0,0 +1,258 @@
+/**
+ * Cart Store DOM Binding
+ * Keeps plain elements in step with the cart store, so the drawer and the
+ * cart page work whether or not Alpine loads:
+ *
+ *   data-cart-loading          shown while a cart request is running
+ *   data-cart-offline          shown while the browser is offline
+ *   data-cart-error            shown with the error message as its text
+ *   data-cart-total            formatted cart total
+ *   data-cart-original-total   formatted total before discounts, shown when it's higher
+ *   data-cart-savings          shown when the cart has discounts
+ *   data-cart-total-discount   formatted discount total
+ *   data-cart-footer           shown while the cart has items
+ *   data-cart-removed          shown while a line removed by typing 0 can be
+ *                              restored, its value is the message with a
+ *                              [product] placeholder, written into the
+ *                              [data-cart-removed-message] inside it
+ *   data-cart-discount-codes         list of discount codes
+ *   data-cart-discount-applications  list of cart-level discounts
+ *   data-free-shipping         free shipping progress (see snippets/free-shipping-bar.liquid)
+ *   data-cart-recommendations  complementary products, its value is the most to show
+ *                              (see snippets/cart-recommendations.liquid)
+ *
+ * Lists hold a <template> for one entry and are rebuilt from it when their
+ * data changes.
+ *
+ * Render the elements `hidden` and with their Liquid values; cart values are
+ * only written once the cart has been loaded. Sections re-rendered through
+ * the Section Rendering API are filled in again with renderElements(). Keep
+ * elements that follow removedItem outside [data-cart-section], a removal
+ * re-renders the section before the line is remembered.
+ */
+
+import { formatMoney } from './money.js';
+
+// Data each list was last built from, rebuilt lists and fresh section HTML aren't in it
+const renderedLists = new WeakMap();
+
+// Free shipping milestone of the last render: 'started', 'halfway' or 'qualified'
+let lastMilestone = null;
+
+/**
+ * Show or hide every element matching a selector
+ * @param {ParentNode} root - Element to look in
+ * @param {string} selector - CSS selector
+ * @param {boolean} visible - Whether to show them
+ */
+function toggle(root, selector, visible) {
+  root.querySelectorAll(selector).forEach(element => {
+    element.hidden = !visible;
+  });
+}
+
+/**
+ * Write text into every element matching a selector
+ * @param {ParentNode} root - Element to look in
+ * @param {string} selector - CSS selector
+ * @param {string} text - Text content
+ */
+function write(root, selector, text) {
+  root.querySelectorAll(selector).forEach(element => {
+    element.textContent = text;
+  });
+}
+
+/**
+ * Rebuild lists from their <template>, one clone per entry
+ * @param {ParentNode} root - Element to look in
+ * @param {string} selector - CSS selector of the lists
+ * @param {Array} entries - Entries to show
+ * @param {Array} dependencies - Values the list is built from, it's left alone while they're unchanged
+ * @param {Function} fill - Receives each clone and its entry
+ */
+function renderList(root, selector, entries, dependencies, fill) {
+  root.querySelectorAll(selector).forEach(list => {
+    const template = list.querySelector('template');
+    const rendered = renderedLists.get(list);
+    if (!template || (rendered && dependencies.every((value, index) => rendered[index] === value))) {
+      return;
+    }
+    renderedLists.set(list, dependencies);
+
+    [...list.children].forEach(child => {
+      if (child !== template) {
+        child.remove();
+      }
+    });
+    entries.forEach(entry => {
+      const element = template.content.firstElementChild.cloneNode(true);
+      fill(element, entry);
+      list.append(element);
+    });
+  });
+}
+
+/**
+ * Fill a discount code from the data-cart-discount-codes template
+ * @param {HTMLElement} element - Cloned entry
+ * @param {Object} discount - { code, applicable }
+ */
+function fillDiscountCode(element, discount) {
+  element.dataset.applicable = String(discount.applicable);
+  write(element, '[data-cart-discount-code]', discount.code);
+  element.querySelectorAll('[data-cart-discount-remove]').forEach(button => {
+    button.dataset.cartDiscountRemove = discount.code;
+    button.setAttribute('aria-label', `${button.dataset.removeLabel} ${discount.code}`);
+  });
+}
+
+/**
+ * Fill a cart-level discount from the data-cart-discount-applications template
+ * @param {HTMLElement} element - Cloned entry
+ * @param {Object} discount - Cart-level discount application
+ */
+function fillDiscountApplication(element, discount) {
+  write(element, '[data-cart-discount-title]', discount.title);
+  write(element, '[data-cart-discount-amount]', `-${formatMoney(discount.total_allocated_amount)}`);
+}
+
+/**
+ * First variant of a recommended product that can be added
+ * @param {Object} product - Product from /recommendations/products.json
+ * @returns {Object|undefined}
+ */
+function getAvailableVariant(product) {
+  return (product.variants || []).find(variant => variant.available);
+}
+
+/**
+ * Show free shipping progress, announcing milestones to screen readers
+ * @param {ParentNode} root - Element to look in
+ * @param {Object} state - Cart state
+ */
+function renderFreeShipping(root, state) {
+  const visible = state.free_shipping_threshold > 0 && state.item_count > 0;
+  const milestone = state.free_shipping_qualified ? 'qualified' : state.free_shipping_progress >= 50 ? 'halfway' : 'started';
+  const announce = !state.loading && lastMilestone !== null && milestone !== lastMilestone;
+  if (!state.loading) {
+    lastMilestone = milestone;
+  }
+
+  root.querySelectorAll('[data-free-shipping]').forEach(bar => {
+    const message = state.free_shipping_qualified
+      ? bar.dataset.textQualified
+      : bar.dataset.textRemaining.replace('[amount]', formatMoney(state.free_shipping_remaining));
+
+    bar.hidden = !visible;
+    write(bar, '[data-free-shipping-message]', message);
+    bar.querySelectorAll('[role="progressbar"]').forEach(progress => {
+      progress.setAttribute('aria-valuenow', state.free_shipping_progress);
+      progress.setAttribute('aria-valuetext', message);
+    });
+    bar.querySelectorAll('[data-free-shipping-fill]').forEach(fill => {
+      fill.style.width = `${state.free_shipping_progress}%`;
+    });
+  });
+
+  if (announce) {
+    // Wait for sections re-rendered by the same cart change, their live regions replace the current ones
+    setTimeout(() => {
+      document.querySelectorAll('[data-free-shipping]').forEach(bar => {
+        write(bar, '[data-free-shipping-announcement]', bar.querySelector('[data-free-shipping-message]')?.textContent || '');
+      });
+    });
+  }
+}
+
+/**
+ * Show complementary products that aren't in the cart yet
+ * @param {ParentNode} root - Element to look in
+ * @param {Object} state - Cart state
+ */
+function renderRecommendations(root, state) {
+  const productIds = state.items.map(item => item.product_id);
+  const available = state.recommendations.filter(product => !productIds.includes(product.id) && getAvailableVariant(product));
+
+  root.querySelectorAll('[data-cart-recommendations]').forEach(container => {
+    const products = available.slice(0, parseInt(container.dataset.cartRecommendations, 10) || 0);
+    container.hidden = products.length === 0;
+
+    renderList(container, '[data-cart-recommendation-list]', products, [state.recommendations, state.items], (element, product) => {
+      const variant = getAvailableVariant(product);
+      element.querySelectorAll('[data-recommendation-link]').forEach(link => {
+        link.href = product.url;
+      });
+      element.querySelectorAll('[data-recommendation-image]').forEach(image => {
+        image.hidden = !product.featured_image;
+        if (product.featured_image) {
+          image.src = product.featured_image;
+          image.alt = product.title;
+        }
+      });
+      write(element, '[data-recommendation-title]', product.title);
+      write(element, '[data-recommendation-price]', formatMoney(variant.price));
+      element.querySelectorAll('[data-quick-add]').forEach(button => {
+        button.dataset.variantId = variant.id;
+        button.setAttribute('aria-label', container.dataset.addLabel.replace('[product]', product.title));
+      });
+    });
+  });
+}
+
+/**
+ * Bring data-cart-* elements up to date with a cart state
+ * @param {Object} state - Cart state
+ * @param {ParentNode} root - Element to look in, defaults to the whole page
+ */
+export function renderElements(state, root = document) {
+  toggle(root, '[data-cart-loading]', state.loading);
+  toggle(root, '[data-cart-offline]', state.offline);
+  toggle(root, '[data-cart-error]', Boolean(state.error));
+  write(root, '[data-cart-error]', state.error || '');
+
+  toggle(root, '[data-cart-removed]', Boolean(state.removedItem));
+  root.querySelectorAll('[data-cart-removed]').forEach(element => {
+    write(element, '[data-cart-removed-message]', state.removedItem
+      ? element.dataset.cartRemoved.replace('[product]', state.removedItem.product_title)
+      : '');
+  });
+
+  renderRecommendations(root, state);
+
+  // Every cart from Shopify has a token, until then keep the Liquid values
+  if (state.token === null) {
+    return;
+  }
+  write(root, '[data-cart-total]', state.formatted_total);
+  write(root, '[data-cart-original-total]', state.formatted_original_total);
+  toggle(root, '[data-cart-original-total]', state.original_total_price > state.total_price);
+  write(root, '[data-cart-total-discount]', state.formatted_total_discount);
+  toggle(root, '[data-cart-savings]', state.total_discount > 0);
+  toggle(root, '[data-cart-footer]', state.items.length > 0);
+
+  toggle(root, '[data-cart-discount-codes]', state.discount_codes.length > 0);
+  renderList(root, '[data-cart-discount-codes]', state.discount_codes, [state.discount_codes], fillDiscountCode);
+  toggle(root, '[data-cart-discount-applications]', state.cart_level_discount_applications.length > 0);
+  renderList(
+    root,
+    '[data-cart-discount-applications]',
+    state.cart_level_discount_applications,
+    [state.cart_level_discount_applications],
+    fillDiscountApplication
+  );
+
+  renderFreeShipping(root, state);
+}
+
+/**
+ * Keep data-cart-* elements in step with the cart store
+ * @param {Object} store - CartStore instance
+ * @param {ParentNode} root - Element to look in, defaults to the whole page
+ * @returns {Function} Unsubscribe from the cart store
+ */
+export function bindElements(store, root = document) {
+  const render = state => renderElements(state, root);
+  render(store.getState());
+  return store.subscribe(render);
+}
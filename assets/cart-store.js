@@ -0,0 +1,333 @@
+/**
+ * Cart Store
+ * Framework-agnostic cart state shared by CartManager and every cart UI.
+ * Components read it with getState() and follow changes with subscribe();
+ * Alpine templates use the `$store.cart` mirror set up by bindAlpine()
+ * (see assets/cart-store-alpine.js). The cart keeps working when Alpine
+ * never loads.
+ *
+ * Cart data only enters the store through applyCart(), which copies every
+ * field Shopify returns from the Cart API.
+ *
+ * Usage in a custom element:
+ *   connectedCallback() {
+ *     this.unsubscribe = cartStore.subscribe(state => {
+ *       this.textContent = state.item_count;
+ *     });
+ *   }
+ */
+
+import { formatMoney } from './money.js';
+import { createLogger } from './logger.js';
+import { normalizeQuantityRule, stepQuantity } from './quantity-rules.js';
+
+const logger = createLogger('cart');
+
+/**
+ * Cart fields copied from Shopify responses, with their empty values
+ * @returns {Object}
+ */
+function getEmptyCart() {
+  return {
+    token: null,
+    note: '',
+    attributes: {},
+    currency: window.Shopify?.currency?.active || null,
+    items: [],
+    item_count: 0,
+    items_subtotal_price: 0,
+    original_total_price: 0,
+    total_price: 0,
+    total_discount: 0,
+    total_weight: 0,
+    requires_shipping: false,
+    discount_codes: [], // [{ code, applicable }]
+    cart_level_discount_applications: [],
+  };
+}
+
+/**
+ * Free shipping threshold from theme settings, converted to the presentment currency
+ * @returns {number} Threshold in cents (0 when disabled)
+ */
+function getFreeShippingThreshold() {
+  const threshold = window.theme?.settings?.freeShippingThreshold || 0;
+  const rate = parseFloat(window.Shopify?.currency?.rate || 1);
+  return Math.round(threshold * rate);
+}
+
+/**
+ * Add the values computed from cart fields (formatted totals, free shipping progress)
+ * @param {Object} state - Store state
+ * @returns {Object} State with derived values
+ */
+function withDerivedState(state) {
+  const threshold = state.free_shipping_threshold;
+
+  return {
+    ...state,
+    formatted_total: formatMoney(state.total_price),
+    formatted_original_total: formatMoney(state.original_total_price),
+    formatted_total_discount: formatMoney(state.total_discount),
+    // Amount left to spend before shipping is free, in cents
+    free_shipping_remaining: Math.max(threshold - state.total_price, 0),
+    free_shipping_qualified: threshold > 0 && state.total_price >= threshold,
+    // Percentage from 0 to 100
+    free_shipping_progress: threshold > 0 ? Math.min(Math.round((state.total_price / threshold) * 100), 100) : 0,
+  };
+}
+
+/**
+ * Quantity rule for a cart line from the remembered rules and limits
+ * @param {Object} state - Cart state, or its Alpine mirror
+ * @param {Object|null} item - Cart line
+ * @returns {{ min: number, max: number|null, increment: number }}
+ */
+export function getLineRule(state, item) {
+  const rule = normalizeQuantityRule(item ? state.quantityRules[item.variant_id] : undefined);
+  const limit = item ? state.lineLimits[item.key] : undefined;
+  if (Number.isFinite(limit) && (rule.max === null || limit < rule.max)) {
+    rule.max = limit;
+  }
+  return rule;
+}
+
+/**
+ * CartStore - Observable cart state
+ */
+export class CartStore {
+  constructor() {
+    this.listeners = new Set();
+    this.state = withDerivedState({
+      ...getEmptyCart(),
+      recommendations: [], // Complementary products for the last added item
+      free_shipping_threshold: getFreeShippingThreshold(),
+      loading: false,
+      error: null,
+      offline: navigator.onLine === false, // Cart changes wait in the CartAPI queue until reconnected
+      updatingItems: new Set(), // Track which items are being updated by key
+      lineLimits: {}, // Highest quantity Shopify allowed, by line key
+      lineNotices: {}, // Messages shown under a line (e.g. stock limits), by line key
+      quantityRules: {}, // Rules seen in product forms and rendered lines, by variant ID (cart JSON has none)
+      removedItem: null, // Line removed by typing 0, until it's restored or the drawer closes
+      useClientRendering: false, // Render lines from Alpine templates when section HTML is unavailable
+    });
+  }
+
+  /**
+   * Current state
+   * Treat it as read-only, changes go through the store's methods.
+   * @returns {Object}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Follow state changes
+   * @param {Function} listener - Called with the new state after every change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Merge changes into the state and notify subscribers
+   * @param {Object} changes - Fields to update
+   */
+  setState(changes) {
+    this.state = withDerivedState({ ...this.state, ...changes });
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        logger.error('CartStore: Subscriber failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Copy a cart into the store
+   * Fields missing from the cart are left as they are, so partial carts
+   * (e.g. the snapshots used to roll back optimistic changes) can be applied.
+   * @param {Object} cart - Cart from the Shopify Cart API
+   */
+  applyCart(cart) {
+    logger.debug('CartStore.applyCart - Received cart:', cart);
+
+    const emptyCart = getEmptyCart();
+    const changes = { error: null };
+    Object.keys(emptyCart).forEach(field => {
+      if (cart[field] !== undefined) {
+        // Shopify sends null for an empty note
+        changes[field] = cart[field] ?? emptyCart[field];
+      }
+    });
+    this.setState(changes);
+  }
+
+  /**
+   * Format money value
+   * @param {number} cents - Price in cents
+   * @returns {string} Formatted price
+   */
+  formatMoney(cents) {
+    return formatMoney(cents);
+  }
+
+  /**
+   * Get item by key
+   * @param {string} key - Line item key
+   * @returns {Object|null} Cart item
+   */
+  getItem(key) {
+    return this.state.items.find(item => item.key === key) || null;
+  }
+
+  /**
+   * Set loading state
+   * @param {boolean} isLoading - Loading state
+   */
+  setLoading(isLoading) {
+    this.setState({ loading: isLoading });
+  }
+
+  /**
+   * Set error state
+   * @param {string|null} errorMessage - Error message
+   */
+  setError(errorMessage) {
+    this.setState({ error: errorMessage });
+  }
+
+  /**
+   * Set connection state
+   * @param {boolean} isOffline - Whether the browser is offline
+   */
+  setOffline(isOffline) {
+    this.setState({ offline: isOffline });
+  }
+
+  /**
+   * Switch between server-rendered and Alpine-rendered line items
+   * @param {boolean} enabled - Use the Alpine template fallback
+   */
+  setClientRendering(enabled) {
+    this.setState({ useClientRendering: enabled });
+  }
+
+  /**
+   * Replace the recommended products
+   * @param {Array} products - Products from the Product Recommendations API
+   */
+  setRecommendations(products) {
+    this.setState({ recommendations: products });
+  }
+
+  /**
+   * Mark an item as updating
+   * @param {string} key - Line item key
+   * @param {boolean} isUpdating - Updating state
+   */
+  setItemUpdating(key, isUpdating) {
+    const updatingItems = new Set(this.state.updatingItems);
+    if (isUpdating) {
+      updatingItems.add(key);
+    } else {
+      updatingItems.delete(key);
+    }
+    this.setState({ updatingItems });
+  }
+
+  /**
+   * Remember the highest quantity Shopify allows for a line
+   * @param {string} key - Line item key
+   * @param {number} limit - Highest quantity
+   */
+  setLineLimit(key, limit) {
+    this.setState({ lineLimits: { ...this.state.lineLimits, [key]: limit } });
+  }
+
+  /**
+   * Show or clear the notice under a line
+   * @param {string} key - Line item key
+   * @param {string|null} message - Notice text, null clears it
+   */
+  setLineNotice(key, message) {
+    if ((this.state.lineNotices[key] || null) === message) {
+      return;
+    }
+    const { [key]: previous, ...lineNotices } = this.state.lineNotices;
+    this.setState({ lineNotices: message ? { ...lineNotices, [key]: message } : lineNotices });
+  }
+
+  /**
+   * Carry a line's limit and notice over to the key that replaced it
+   * @param {string} fromKey - Previous line item key
+   * @param {string} toKey - New line item key
+   */
+  setLineKey(fromKey, toKey) {
+    const { [fromKey]: limit, ...lineLimits } = this.state.lineLimits;
+    const { [fromKey]: notice, ...lineNotices } = this.state.lineNotices;
+    this.setState({
+      lineLimits: limit !== undefined ? { ...lineLimits, [toKey]: limit } : lineLimits,
+      lineNotices: notice ? { ...lineNotices, [toKey]: notice } : lineNotices,
+    });
+  }
+
+  /**
+   * Remember a variant's quantity rule for lines rendered without Liquid
+   * @param {number|string} variantId - Variant ID
+   * @param {Object} rule - { min, max, increment }
+   */
+  setQuantityRule(variantId, rule) {
+    const normalized = normalizeQuantityRule(rule);
+    const previous = this.state.quantityRules[variantId];
+    if (previous && ['min', 'max', 'increment'].every(field => previous[field] === normalized[field])) {
+      return;
+    }
+    this.setState({ quantityRules: { ...this.state.quantityRules, [variantId]: normalized } });
+  }
+
+  /**
+   * Quantity rule for a line, with its maximum lowered to the line's limit
+   * @param {string} key - Line item key
+   * @returns {{ min: number, max: number|null, increment: number }}
+   */
+  getLineRule(key) {
+    return getLineRule(this.state, this.getItem(key));
+  }
+
+  /**
+   * Check if a line's quantity can move up or down without breaking its rule
+   * @param {string} key - Line item key
+   * @param {number} direction - 1 to step up, -1 to step down
+   * @returns {boolean}
+   */
+  canStepQuantity(key, direction) {
+    const item = this.getItem(key);
+    return Boolean(item) && stepQuantity(item.quantity, this.getLineRule(key), direction) !== null;
+  }
+
+  /**
+   * Remember a removed line so it can be added back
+   * @param {Object|null} item - Removed cart line, null clears it
+   */
+  setRemovedItem(item) {
+    this.setState({ removedItem: item });
+  }
+
+  /**
+   * Check if an item is updating
+   * @param {string} key - Line item key
+   * @returns {boolean}
+   */
+  isItemUpdating(key) {
+    return this.state.updatingItems.has(key);
+  }
+}
+
+// Shared by CartManager, the Alpine binding and any other cart UI
+export const cartStore = new CartStore();
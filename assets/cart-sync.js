@@ -0,0 +1,94 @@
+/**
+ * Cart Sync
+ * Shares cart updates between open tabs of the storefront
+ * Uses BroadcastChannel where available, falling back to localStorage storage events
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cart:sync');
+
+const CHANNEL_NAME = 'cart';
+const STORAGE_KEY = 'cart:sync';
+
+export class CartSync {
+  constructor() {
+    this.channel = null;
+    this.listeners = new Set();
+    this.init();
+  }
+
+  init() {
+    if (typeof window.BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.addEventListener('message', (e) => this.notify(e.data));
+      return;
+    }
+
+    // Storage events only fire in the other tabs, never the one that wrote the value
+    window.addEventListener('storage', (e) => {
+      if (e.key !== STORAGE_KEY || !e.newValue) {
+        return;
+      }
+      try {
+        this.notify(JSON.parse(e.newValue));
+      } catch (error) {
+        logger.error('Error reading cart message:', error);
+      }
+    });
+  }
+
+  /**
+   * Send a cart to every other tab
+   * @param {Object} cart - Cart object from Shopify API
+   */
+  publish(cart) {
+    const message = { cart, timestamp: Date.now() };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+    } catch (error) {
+      logger.warn('Unable to write cart message:', error);
+    }
+  }
+
+  /**
+   * Listen for carts published by other tabs
+   * @param {Function} callback - Receives the cart object
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify(message) {
+    if (!message || !message.cart) {
+      return;
+    }
+    this.listeners.forEach(callback => callback(message.cart));
+  }
+}
+
+/**
+ * Read the cart token from the cart cookie
+ * @returns {string|null} Token without its key suffix, or null when there is no cart
+ */
+export function getCartTokenFromCookie() {
+  const match = document.cookie.match(/(?:^|;\s*)cart=([^;]+)/);
+  return match ? normalizeCartToken(decodeURIComponent(match[1])) : null;
+}
+
+/**
+ * Strip the "?key=" suffix newer cart tokens carry
+ * @param {string|null} token - Cart token
+ * @returns {string|null}
+ */
+export function normalizeCartToken(token) {
+  return token ? token.split('?')[0] : null;
+}
@@ -0,0 +1,223 @@
+/**
+ * Line Item Properties
+ * Validation for the custom fields (`properties[...]`) on product forms and
+ * in the drawer's property editor. Rules are declared on the field:
+ *
+ *   data-property-required            a value (or file) must be given, for
+ *                                     radio groups one of the radios checked
+ *   data-property-max-length="30"     at most 30 characters
+ *   data-property-pattern="[A-Z ]+"   the whole value must match, ignored when it isn't a valid RegExp
+ *   data-property-accept=".png,image/*"  allowed file types
+ *   data-property-max-size="5"        largest file in MB
+ *   data-property-message="..."       replaces the default message
+ *
+ * Errors are shown inline in the field's `[data-property-error]` element,
+ * looked up inside its `[data-property-field]` wrapper and created after the
+ * field when there isn't one.
+ *
+ * Properties whose names start with an underscore are private: Shopify keeps
+ * them out of checkout, and the cart doesn't show them either. Product forms
+ * save a field's rules that way (`_required:<name>`, `_max_length:<name>`) so
+ * the cart's property editor renders the same data-property-* attributes.
+ *
+ * Example:
+ *   <div data-property-field>
+ *     <input name="properties[Engraving]" data-property-required data-property-max-length="20">
+ *     <p data-property-error hidden></p>
+ *   </div>
+ */
+
+import { getString } from './theme-strings.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cart:properties');
+
+let errorCount = 0;
+
+/**
+ * Whether a property is private (hidden from shoppers)
+ * @param {string} name - Property name
+ * @returns {boolean}
+ */
+export function isPrivateProperty(name) {
+  return name.startsWith('_');
+}
+
+/**
+ * Property name from a field name, e.g. "properties[Engraving]" -> "Engraving"
+ * @param {string} fieldName - Form field name
+ * @returns {string|null} null for fields that aren't properties
+ */
+export function getPropertyName(fieldName) {
+  const match = /^properties\[(.+)\]$/.exec(fieldName || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Property fields of a form, including ones linked with the `form` attribute
+ * @param {HTMLFormElement} form - Product form
+ * @returns {Array<HTMLElement>}
+ */
+export function getPropertyFields(form) {
+  return [...form.elements].filter(field => getPropertyName(field.name) !== null);
+}
+
+/**
+ * Check a file against an accept list like ".png,.jpg,image/*"
+ * @param {File} file - Uploaded file
+ * @param {string} accept - Comma-separated extensions and MIME types
+ * @returns {boolean}
+ */
+function matchesAccept(file, accept) {
+  const name = file.name.toLowerCase();
+  const type = file.type.toLowerCase();
+
+  return accept.split(',').map(token => token.trim().toLowerCase()).filter(Boolean).some(token => {
+    if (token.startsWith('.')) {
+      return name.endsWith(token);
+    }
+    if (token.endsWith('/*')) {
+      return type.startsWith(token.slice(0, -1));
+    }
+    return type === token;
+  });
+}
+
+/**
+ * Radios sharing a field's name in its form, the field alone for other types
+ * @param {HTMLElement} field - Property field
+ * @returns {Array<HTMLElement>}
+ */
+export function getRadioGroup(field) {
+  if (field.type !== 'radio' || !field.form) {
+    return [field];
+  }
+  return [...field.form.elements].filter(element => element.type === 'radio' && element.name === field.name);
+}
+
+/**
+ * Value a property field submits
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Property field
+ * @returns {string} Empty for unchecked checkboxes and radio groups
+ */
+export function getPropertyValue(field) {
+  if (field.type === 'radio') {
+    return getRadioGroup(field).find(radio => radio.checked)?.value.trim() || '';
+  }
+  return field.type === 'checkbox' && !field.checked ? '' : field.value.trim();
+}
+
+/**
+ * Compile a data-property-pattern
+ * @param {string} pattern - Pattern the whole value must match
+ * @returns {RegExp|null} null when the pattern isn't a valid RegExp
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(`^(?:${pattern})$`);
+  } catch (error) {
+    logger.warn(`Ignoring invalid data-property-pattern "${pattern}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Check a property field against its data-property-* rules
+ * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Property field
+ * @returns {string|null} Error message, null when the value is valid
+ */
+export function validatePropertyField(field) {
+  const { dataset } = field;
+  // Any radio of a group can mark it required
+  const required = getRadioGroup(field).some(element => 'propertyRequired' in element.dataset);
+  const message = (name, fallback) => dataset.propertyMessage || getString(name, fallback);
+
+  if (field.type === 'file') {
+    const file = field.files[0];
+    if (!file) {
+      return required ? message('propertyRequired', 'This field is required.') : null;
+    }
+    if (dataset.propertyAccept && !matchesAccept(file, dataset.propertyAccept)) {
+      return message('propertyFileType', 'Upload a file of type [types].').replace('[types]', dataset.propertyAccept);
+    }
+    const maxSize = parseFloat(dataset.propertyMaxSize);
+    if (maxSize > 0 && file.size > maxSize * 1024 * 1024) {
+      return message('propertyFileSize', 'Upload a file smaller than [size] MB.').replace('[size]', maxSize);
+    }
+    return null;
+  }
+
+  const value = getPropertyValue(field);
+  if (!value) {
+    return required ? message('propertyRequired', 'This field is required.') : null;
+  }
+
+  const maxLength = parseInt(dataset.propertyMaxLength, 10);
+  if (maxLength > 0 && value.length > maxLength) {
+    return message('propertyMaxLength', 'Use [max] characters or fewer.').replace('[max]', maxLength);
+  }
+  const pattern = dataset.propertyPattern ? compilePattern(dataset.propertyPattern) : null;
+  if (pattern && !pattern.test(value)) {
+    return message('propertyPattern', 'Enter a valid value.');
+  }
+  return null;
+}
+
+/**
+ * Show or clear a field's inline error
+ * @param {HTMLElement} field - Property field
+ * @param {string|null} message - Error message, null clears it
+ */
+export function showPropertyError(field, message) {
+  let error = field.closest('[data-property-field]')?.querySelector('[data-property-error]');
+  if (!error && message) {
+    error = document.createElement('p');
+    error.className = 'mt-1 text-xs text-red-700';
+    error.dataset.propertyError = '';
+    field.after(error);
+  }
+  if (!error) {
+    return;
+  }
+
+  if (!error.id) {
+    errorCount += 1;
+    error.id = `PropertyError-${errorCount}`;
+  }
+  error.textContent = message || '';
+  error.hidden = !message;
+  field.setAttribute('aria-invalid', message ? 'true' : 'false');
+  if (message) {
+    field.setAttribute('aria-describedby', error.id);
+  } else {
+    field.removeAttribute('aria-describedby');
+  }
+}
+
+/**
+ * Validate every field, show their errors and focus the first invalid one
+ * @param {Array<HTMLElement>} fields - Property fields
+ * @returns {boolean} Whether all fields are valid
+ */
+export function validatePropertyFields(fields) {
+  // A radio group is checked once, through its first radio
+  const invalid = fields.filter(field => getRadioGroup(field)[0] === field).filter(field => {
+    const message = validatePropertyField(field);
+    showPropertyError(field, message);
+    return message !== null;
+  });
+
+  if (invalid.length > 0) {
+    invalid[0].focus();
+  }
+  return invalid.length === 0;
+}
+
+/**
+ * Whether properties hold a file upload, which has to be sent as multipart form data
+ * @param {Object} properties - Property name/value pairs
+ * @returns {boolean}
+ */
+export function hasFileProperty(properties = {}) {
+  return Object.values(properties).some(value => value instanceof File);
+}
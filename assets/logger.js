@@ -0,0 +1,95 @@
+/**
+ * Logger
+ * Namespaced, levelled console output that stays silent unless debugging is
+ * turned on for a namespace:
+ *
+ *   ?debug=cart,menu      enable namespaces (remembered for the session)
+ *   ?debug=*              enable everything
+ *   ?debug=off            turn debugging off again
+ *   ?debug_level=warn     only show warnings and errors
+ *
+ * The "Debug logging" theme setting enables namespaces for every visitor.
+ * Enabling a namespace also enables its children ("cart" covers "cart:sync").
+ *
+ * Usage:
+ *   const logger = createLogger('cart');
+ *   logger.debug('Updating store', cart);
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+const STORAGE_KEY = 'theme:debug';
+
+/**
+ * Read the debug configuration from the URL, the session and theme settings
+ * @returns {{ namespaces: Array<string>, level: number }}
+ */
+function readConfig() {
+  let value = '';
+  let level = 'debug';
+
+  try {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has('debug')) {
+      const debug = params.get('debug').trim();
+      if (debug === '' || debug === 'off') {
+        window.sessionStorage.removeItem(STORAGE_KEY);
+      } else {
+        window.sessionStorage.setItem(STORAGE_KEY, debug);
+      }
+    }
+
+    value = window.sessionStorage.getItem(STORAGE_KEY) || '';
+    level = params.get('debug_level') || level;
+  } catch (error) {
+    // sessionStorage is unavailable (privacy mode), fall back to theme settings only
+  }
+
+  if (!value) {
+    value = window.theme?.settings?.debug || '';
+  }
+
+  return {
+    namespaces: value.split(',').map(namespace => namespace.trim()).filter(Boolean),
+    level: LEVELS[level] || LEVELS.debug,
+  };
+}
+
+const config = readConfig();
+
+/**
+ * Whether output is enabled for a namespace
+ * @param {string} namespace - Component namespace, e.g. "cart" or "cart:sync"
+ * @returns {boolean}
+ */
+export function isDebugEnabled(namespace) {
+  return config.namespaces.some(enabled => (
+    enabled === '*' || enabled === namespace || namespace.startsWith(`${enabled}:`)
+  ));
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} namespace - Component namespace
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+export function createLogger(namespace) {
+  const log = (level, method) => (...args) => {
+    if (LEVELS[level] >= config.level && isDebugEnabled(namespace)) {
+      console[method](`[${namespace}]`, ...args);
+    }
+  };
+
+  return {
+    debug: log('debug', 'log'),
+    info: log('info', 'info'),
+    warn: log('warn', 'warn'),
+    error: log('error', 'error'),
+  };
+}
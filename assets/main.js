@@ -3,24 +3,41 @@ import './carousel-slider.js';
 import './grid-slider.js';
 import './read-more.js';
 import { CartManager } from './add-to-cart.js';
+import { cartStore } from './cart-store.js';
+import { bindAlpine } from './cart-store-alpine.js';
+import { bindElements } from './cart-store-dom.js';
 import { MobileMenu } from './mobile-menu.js';
-import './variant-selector.js';
+import { initVariantSelectors } from './variant-selector.js';
+import { Analytics, consoleAdapter, dataLayerAdapter, shopifyAnalyticsAdapter } from './analytics.js';
+import { createLogger, isDebugEnabled } from './logger.js';
 
-// Wait for Alpine.js to be available (loaded from CDN)
+const logger = createLogger('app');
+
+// Mirror the cart store into $store.cart if Alpine loads (main.js runs ahead of Alpine)
+document.addEventListener('alpine:init', () => {
+  bindAlpine(cartStore, window.Alpine);
+});
+
+// The cart doesn't depend on Alpine, templates bound to $store.cart catch up when it loads
 function initCartSystem() {
-  if (typeof window.Alpine !== 'undefined') {
-    // Create cart manager (store will be registered)
-    window.cartManager = new CartManager();
-  } else {
-    // Retry if Alpine isn't ready yet
-    setTimeout(initCartSystem, 50);
-  }
+  bindElements(cartStore);
+  window.cartManager = new CartManager();
 }
-console.log('Starting cart system initialization');
+logger.debug('Starting cart system initialization');
+
+// Listen for cart and product events before the cart and variant selectors start
+window.analytics = new Analytics({
+  adapters: [dataLayerAdapter, shopifyAnalyticsAdapter],
+  getCart: () => window.cartManager?.api.cart,
+});
+if (isDebugEnabled('analytics')) {
+  window.analytics.use(consoleAdapter);
+}
+
 // Initialize mobile menu
 function initMobileMenu() {
   window.mobileMenu = new MobileMenu();
-  console.log('Mobile menu initialized');
+  logger.debug('Mobile menu initialized');
 }
 
 // Start initialization when DOM is ready
@@ -28,9 +45,11 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
     initCartSystem();
     initMobileMenu();
+    initVariantSelectors();
   });
 } else {
   // DOM is already ready
   initCartSystem();
   initMobileMenu();
+  initVariantSelectors();
 }
\ No newline at end of file
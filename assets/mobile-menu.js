@@ -4,6 +4,9 @@
  */
 
 import A11yDialog from './a11y-dialog.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('menu');
 
 export class MobileMenu {
   constructor(containerId = 'mobile-menu') {
@@ -32,23 +35,23 @@ export class MobileMenu {
     if (container) {
       try {
         this.dialog = new A11yDialog(container);
-        console.log('MobileMenu: Dialog initialized successfully');
+        logger.debug('Dialog initialized successfully');
 
         // Listen for dialog events
         this.dialog.on('show', () => {
-          console.log('Mobile menu opened');
+          logger.debug('Mobile menu opened');
           document.body.style.overflow = 'hidden'; // Prevent body scroll
         });
 
         this.dialog.on('hide', () => {
-          console.log('Mobile menu closed');
+          logger.debug('Mobile menu closed');
           document.body.style.overflow = ''; // Restore body scroll
         });
       } catch (error) {
-        console.error('MobileMenu: Error initializing dialog:', error);
+        logger.error('Error initializing dialog:', error);
       }
     } else {
-      console.warn('MobileMenu: Container not found, retrying...');
+      logger.warn('Container not found, retrying...');
       // Retry if container isn't ready yet
       setTimeout(() => this.initializeDialog(), 100);
     }
@@ -96,7 +99,7 @@ export class MobileMenu {
       const menuTrigger = e.target.closest('[data-menu-trigger]');
       if (menuTrigger) {
         e.preventDefault();
-        console.log('Mobile menu trigger clicked');
+        logger.debug('Mobile menu trigger clicked');
         this.open();
       }
     });
@@ -114,11 +117,11 @@ export class MobileMenu {
   }
 
   open() {
-    console.log('Mobile menu open() called, dialog:', this.dialog);
+    logger.debug('Mobile menu open() called, dialog:', this.dialog);
     if (this.dialog) {
       this.showDialog();
     } else {
-      console.warn('Mobile menu: No dialog initialized, using manual method');
+      logger.warn('No dialog initialized, using manual method');
       this.showDialogManually();
     }
   }
@@ -166,5 +169,5 @@ export class MobileMenu {
 // Auto-initialize if not imported as module
 if (typeof window !== 'undefined') {
   // Will be initialized in main.js
-  console.log('MobileMenu class loaded');
+  logger.debug('MobileMenu class loaded');
 }
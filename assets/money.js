@@ -0,0 +1,72 @@
+/**
+ * Money Formatting
+ * Formats cent amounts with the shop's money format template (shop.money_format),
+ * which Liquid renders for the customer's presentment currency
+ */
+
+const DEFAULT_FORMAT = '${{amount}}';
+
+/**
+ * Money format from theme settings (see layout/theme.liquid)
+ * @returns {string} Format template such as "€{{amount_with_comma_separator}}"
+ */
+export function getMoneyFormat() {
+  return window.theme?.settings?.moneyFormat || DEFAULT_FORMAT;
+}
+
+/**
+ * Split a number into thousands groups and join it back with the given separators
+ * @param {number} number - Amount in major units
+ * @param {number} precision - Decimal places
+ * @param {string} thousands - Thousands separator
+ * @param {string} decimal - Decimal separator
+ * @returns {string} Formatted number
+ */
+function formatWithDelimiters(number, precision, thousands = ',', decimal = '.') {
+  if (!Number.isFinite(number)) {
+    return '0';
+  }
+
+  const [whole, fraction] = number.toFixed(precision).split('.');
+  const grouped = whole.replace(/(\d)(?=(\d{3})+(?!\d))/g, `$1${thousands}`);
+
+  return fraction ? `${grouped}${decimal}${fraction}` : grouped;
+}
+
+/**
+ * Format a cent amount using a Shopify money format template
+ * Supports every {{amount...}} placeholder Shopify offers in store currency settings.
+ * @param {number|string} cents - Amount in cents
+ * @param {string} format - Format template, defaults to the shop money format
+ * @returns {string} Formatted price
+ */
+export function formatMoney(cents, format = getMoneyFormat()) {
+  let value = cents;
+  if (typeof value === 'string') {
+    value = value.replace('.', '');
+  }
+  value = Number(value) / 100;
+
+  return format.replace(/\{\{\s*(\w+)\s*\}\}/, (placeholder, name) => {
+    switch (name) {
+      case 'amount':
+        return formatWithDelimiters(value, 2);
+      case 'amount_no_decimals':
+        return formatWithDelimiters(value, 0);
+      case 'amount_with_comma_separator':
+        return formatWithDelimiters(value, 2, '.', ',');
+      case 'amount_no_decimals_with_comma_separator':
+        return formatWithDelimiters(value, 0, '.', ',');
+      case 'amount_with_apostrophe_separator':
+        return formatWithDelimiters(value, 2, "'", '.');
+      case 'amount_no_decimals_with_space_separator':
+        return formatWithDelimiters(value, 0, ' ');
+      case 'amount_with_space_separator':
+        return formatWithDelimiters(value, 2, ' ', ',');
+      case 'amount_with_period_and_space_separator':
+        return formatWithDelimiters(value, 2, ' ', '.');
+      default:
+        return placeholder;
+    }
+  });
+}
@@ -0,0 +1,127 @@
+/**
+ * Quantity Rules
+ * Shopify quantity rules (`variant.quantity_rule`) and volume pricing
+ * (`variant.quantity_price_breaks`), used by B2B catalogues.
+ *
+ * A valid quantity is a multiple of the increment between the minimum and
+ * the maximum (Shopify requires both to be multiples of the increment).
+ * Anything else is refused with a 422, so quantities are checked and stepped
+ * here before a request is sent.
+ *
+ * Rules come from product JSON or from markup: quantity inputs carry
+ * min/max/step, cart lines data-cart-line-min/-max/-increment. Cart JSON has
+ * no rules, so the cart store remembers them by variant for lines rendered
+ * from Alpine templates.
+ */
+
+import { getString } from './theme-strings.js';
+
+/**
+ * Fill in a rule's missing or malformed values
+ * @param {Object} rule - { min, max, increment }, values may be strings from attributes
+ * @returns {{ min: number, max: number|null, increment: number }} max is null when unlimited
+ */
+export function normalizeQuantityRule(rule = {}) {
+  const min = parseInt(rule.min, 10);
+  const max = parseInt(rule.max, 10);
+  const increment = parseInt(rule.increment, 10);
+
+  return {
+    min: min > 0 ? min : 1,
+    max: max > 0 ? max : null,
+    increment: increment > 0 ? increment : 1,
+  };
+}
+
+/**
+ * Read the rule from a quantity input's min, max and step attributes
+ * @param {HTMLInputElement} input - Quantity input
+ * @returns {{ min: number, max: number|null, increment: number }}
+ */
+export function getInputQuantityRule(input) {
+  return normalizeQuantityRule({ min: input.min, max: input.max, increment: input.step });
+}
+
+/**
+ * Explain why a quantity breaks a rule
+ * @param {number} quantity - Quantity to check
+ * @param {Object} rule - Quantity rule
+ * @returns {string|null} Message for the shopper, null when the quantity is valid
+ */
+export function validateQuantity(quantity, rule) {
+  const { min, max, increment } = normalizeQuantityRule(rule);
+
+  if (!Number.isInteger(quantity) || quantity < min) {
+    return getString('quantityMin', 'The minimum quantity is [min].').replace('[min]', min);
+  }
+  if (max !== null && quantity > max) {
+    return getString('quantityMax', 'The maximum quantity is [max].').replace('[max]', max);
+  }
+  if (quantity % increment !== 0) {
+    return getString('quantityIncrement', 'Quantity must be a multiple of [increment].').replace('[increment]', increment);
+  }
+  return null;
+}
+
+/**
+ * Next valid quantity up or down from the current one
+ * A quantity that's off the increment snaps to the nearest multiple in that direction.
+ * @param {number} quantity - Current quantity
+ * @param {Object} rule - Quantity rule
+ * @param {number} direction - 1 to step up, -1 to step down
+ * @returns {number|null} null when the rule's minimum or maximum is already reached
+ */
+export function stepQuantity(quantity, rule, direction) {
+  const { min, max, increment } = normalizeQuantityRule(rule);
+
+  const highest = max !== null ? Math.floor(max / increment) * increment : Infinity;
+  const next = direction > 0
+    ? Math.max((Math.floor(quantity / increment) + 1) * increment, min)
+    // Stepping down from above the maximum (e.g. stock ran low) lands on the highest valid quantity
+    : Math.min((Math.ceil(quantity / increment) - 1) * increment, highest);
+
+  if (next < min || next > highest) {
+    return null;
+  }
+  return next;
+}
+
+/**
+ * Closest valid quantity, used when a variant with a different rule is selected
+ * @param {number} quantity - Current quantity
+ * @param {Object} rule - Quantity rule
+ * @returns {number}
+ */
+export function clampQuantity(quantity, rule) {
+  const { min, max, increment } = normalizeQuantityRule(rule);
+  const snapped = Math.round(quantity / increment) * increment;
+  const highest = max !== null ? Math.floor(max / increment) * increment : Infinity;
+  return Math.max(Math.min(snapped, highest), min);
+}
+
+/**
+ * Unit price for a quantity, taking volume pricing into account
+ * @param {Object} variant - Variant with `price` and `quantity_price_breaks`
+ * @param {number} quantity - Quantity being bought
+ * @returns {number} Price in cents
+ */
+export function getPriceForQuantity(variant, quantity) {
+  return (variant.quantity_price_breaks || [])
+    .filter(priceBreak => quantity >= priceBreak.minimum_quantity)
+    .reduce(
+      (best, priceBreak) => (priceBreak.minimum_quantity > best.minimum_quantity ? priceBreak : best),
+      { minimum_quantity: 0, price: variant.price }
+    ).price;
+}
+
+/**
+ * Describe a volume price, e.g. "10+ at $4.00 each"
+ * @param {number} quantity - Minimum quantity of the price break
+ * @param {string} price - Formatted unit price
+ * @returns {string}
+ */
+export function getPriceBreakLabel(quantity, price) {
+  return getString('quantityPriceBreak', '[quantity]+ at [price] each')
+    .replace('[quantity]', quantity)
+    .replace('[price]', price);
+}
@@ -0,0 +1,16 @@
+/**
+ * Theme Strings
+ * Translated messages for scripts, exposed by layout/theme.liquid as
+ * window.theme.strings from the theme's locales. Placeholders such as
+ * `[quantity]` are left in for scripts to replace.
+ */
+
+/**
+ * Theme string, falling back to English when the layout didn't provide it
+ * @param {string} name - Key in window.theme.strings
+ * @param {string} fallback - English text
+ * @returns {string}
+ */
+export function getString(name, fallback) {
+  return window.theme?.strings?.[name] || fallback;
+}
@@ -2,18 +2,81 @@
  * Product Variant Selector
  * Handles variant selection logic for Shopify products with multiple options
  * Supports color swatches, size buttons, and other variant types
+ *
+ * Option values are checked in option order: a value is hidden when no
+ * variant has it together with the values selected for the options before
+ * it, and crossed out (but still selectable) when all those variants are sold out.
+ *
+ * Products rendered with `fetch_options` (snippets/variant-selector.liquid)
+ * only embed the selected variant. Each selection then fetches the section
+ * with `?option_values=`, which returns the matching variant and the option
+ * availability already rendered.
+ *
+ * The URL selects variants too: `?variant=` or option parameters matched by
+ * handle (`?color=navy-blue&size=m`), on load and on back/forward. With the
+ * `push_history` setting every selection adds a history entry.
  */
 
+import { formatMoney } from './money.js';
+import { clampQuantity, getPriceBreakLabel, getPriceForQuantity } from './quantity-rules.js';
+import { createLogger } from './logger.js';
+import { getString } from './theme-strings.js';
+
+const logger = createLogger('variants');
+
+/**
+ * Whether an option picks the color, which switches the gallery image
+ * @param {string|null} optionName - Option name
+ * @returns {boolean}
+ */
+function isColorOption(optionName) {
+  return Boolean(optionName) && ['color', 'colour'].includes(optionName.toLowerCase());
+}
+
+/**
+ * Value of an option button or <option> element
+ * @param {HTMLElement} element - Value element
+ * @returns {string}
+ */
+function getValue(element) {
+  return element.tagName === 'OPTION' ? element.value : element.dataset.optionValue;
+}
+
+/**
+ * Handle of an option name or value, used to match URL parameters, e.g. "Navy Blue" -> "navy-blue"
+ * @param {string} text - Option name or value
+ * @returns {string}
+ */
+function handleize(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
 export class VariantSelector {
-  constructor(productData, sectionId) {
+  /**
+   * @param {Object} productData - Product JSON from snippets/variant-selector.liquid
+   * @param {string} sectionId - Section the selector belongs to
+   * @param {Object} options
+   * @param {boolean} options.pushHistory - Add a history entry for every selected variant
+   */
+  constructor(productData, sectionId, { pushHistory = false } = {}) {
     this.product = productData;
     this.sectionId = sectionId;
     this.selectedOptions = {};
+    // Without the variant list, options are re-rendered by the server
+    this.fetchesOptions = !Array.isArray(productData.variants);
+    this.optionsRequest = null;
+    this.pushHistory = pushHistory;
+    // Page the selector's history entries belong to (combined listings switch products)
+    this.pathname = window.location.pathname;
+    this.handlePopState = this.handlePopState.bind(this);
 
     // DOM elements
     this.variantIdInput = null;
     this.priceElement = null;
     this.compareAtPriceElement = null;
+    this.quantityInput = null;
+    this.priceBreaksElement = null;
+    this.sellingPlanPicker = null;
     this.productImages = null;
 
     // Initialize with first available variant
@@ -21,6 +84,8 @@ export class VariantSelector {
     if (firstVariant) {
       this.initializeSelectedOptions(firstVariant);
     }
+    // Restored when going back to an entry without a selection in its URL
+    this.initialOptions = { ...this.selectedOptions };
 
     this.init();
   }
@@ -32,6 +97,8 @@ export class VariantSelector {
     this.cacheDOMElements();
     this.attachEventListeners();
     this.updateUI();
+    this.emitProductView();
+    this.selectFromURL();
   }
 
   /**
@@ -47,6 +114,13 @@ export class VariantSelector {
     this.priceElement = document.querySelector(`${prefix} [data-product-price]`);
     this.compareAtPriceElement = document.querySelector(`${prefix} [data-compare-price]`);
 
+    // Quantity input and volume pricing (quantity block)
+    this.quantityInput = document.querySelector(`[data-quantity-input="${this.sectionId}"]`);
+    this.priceBreaksElement = document.querySelector(`[data-quantity-price-breaks="${this.sectionId}"]`);
+
+    // Selling plan picker (selling_plan block)
+    this.sellingPlanPicker = document.querySelector(`[data-selling-plan-picker="${this.sectionId}"]`);
+
     // Product images
     this.productImages = document.querySelectorAll(`[data-product-image="${this.sectionId}"]`);
   }
@@ -65,6 +139,38 @@ export class VariantSelector {
    * Attach event listeners to all variant option buttons/inputs
    */
   attachEventListeners() {
+    this.attachOptionListeners();
+
+    // Back/forward between selected variants
+    window.addEventListener('popstate', this.handlePopState);
+
+    // One-time purchase / subscribe and the plan select
+    if (this.sellingPlanPicker) {
+      this.sellingPlanPicker.addEventListener('change', () => {
+        const variant = this.findMatchingVariant();
+        if (variant) {
+          this.updateSellingPlan(variant);
+          this.updatePrice(variant);
+        }
+      });
+    }
+
+    // Volume pricing depends on the quantity
+    if (this.quantityInput) {
+      this.quantityInput.addEventListener('input', () => {
+        const variant = this.findMatchingVariant();
+        if (variant) {
+          this.updatePrice(variant);
+        }
+      });
+    }
+  }
+
+  /**
+   * Attach listeners to the option buttons and selects
+   * Called again when server-rendered options replace them.
+   */
+  attachOptionListeners() {
     // Color swatches
     const colorButtons = document.querySelectorAll(
       `[data-variant-option="${this.sectionId}"][data-option-type="color"]`
@@ -130,6 +236,11 @@ export class VariantSelector {
     );
 
     buttons.forEach(button => {
+      if (button.tagName === 'SELECT') {
+        button.value = this.selectedOptions[changedOptionName];
+        return;
+      }
+
       const value = button.dataset.optionValue;
       const isSelected = this.selectedOptions[changedOptionName] === value;
 
@@ -147,7 +258,10 @@ export class VariantSelector {
    * Find variant matching current selected options
    */
   findMatchingVariant() {
-    return this.product.variants.find(variant => {
+    // With fetch_options only the selected variant is known
+    const variants = this.product.variants || [this.product.selected_or_first_available_variant];
+
+    return variants.find(variant => {
       return variant.options.every((value, index) => {
         const optionName = this.product.options[index];
         return this.selectedOptions[optionName] === value;
@@ -155,46 +269,332 @@ export class VariantSelector {
     });
   }
 
+  /**
+   * Variant closest to the selected options, for combinations that don't exist
+   * Keeps the values the shopper just picked (or linked to), then as many of
+   * the other selected values as possible (earlier options first), preferring
+   * variants in stock. When no variant has every kept value, the earlier ones win.
+   * @param {Array<string>} keptOptionNames - Options whose selected values are kept
+   * @returns {Object|null} Variant
+   */
+  findClosestVariant(keptOptionNames) {
+    const { options, variants } = this.product;
+
+    // Kept values outweigh being in stock, which outweighs every other matching value.
+    // Within each group earlier options outweigh all later ones together.
+    const weight = (name, index) => (keptOptionNames.includes(name)
+      ? 2 ** (2 * options.length + 2 - index)
+      : 2 ** (options.length - index));
+    const score = variant => options.reduce(
+      (total, name, index) => (variant.options[index] === this.selectedOptions[name] ? total + weight(name, index) : total),
+      variant.available ? 2 ** (options.length + 1) : 0
+    );
+
+    return variants.reduce((closest, variant) => (!closest || score(variant) > score(closest) ? variant : closest), null);
+  }
+
   /**
    * Update variant based on selected options
    * @param {string} changedOptionName - The name of the option that was changed (optional)
+   * @param {Object} options - Passed on to applyVariant
+   * @param {Array<string>} options.keptOptions - Other options whose values snapping keeps (e.g. from URL parameters)
    */
-  updateVariant(changedOptionName = null) {
-    const matchingVariant = this.findMatchingVariant();
+  updateVariant(changedOptionName = null, { keptOptions = [], ...options } = {}) {
+    if (this.fetchesOptions) {
+      this.fetchOptionValues(changedOptionName, options);
+      return;
+    }
+
+    let matchingVariant = this.findMatchingVariant();
+    let snapped = false;
+
+    // The combination doesn't exist (e.g. Red / XL), move to the closest one that does
+    if (!matchingVariant) {
+      matchingVariant = this.findClosestVariant(changedOptionName ? [changedOptionName, ...keptOptions] : keptOptions);
+      if (matchingVariant) {
+        snapped = true;
+        this.initializeSelectedOptions(matchingVariant);
+        this.product.options.forEach(optionName => this.updateButtonStates(optionName));
+      }
+    }
+
+    this.updateOptionAvailability();
 
     if (matchingVariant) {
-      this.updateVariantId(matchingVariant.id);
-      this.updatePrice(matchingVariant);
+      // Snapping may have changed the color too
+      this.applyVariant(matchingVariant, {
+        ...options,
+        updateImage: options.updateImage || isColorOption(changedOptionName) || snapped,
+      });
+    } else {
+      logger.warn('No matching variant found for:', this.selectedOptions);
+    }
+  }
 
-      // Only update gallery image if a color/colour option changed
-      const isColorChange = changedOptionName &&
-        (changedOptionName.toLowerCase() === 'color' || changedOptionName.toLowerCase() === 'colour');
+  /**
+   * Show the selected variant in the form, gallery and URL
+   * @param {Object} variant - Selected variant
+   * @param {Object} options
+   * @param {boolean} options.updateImage - Switch the gallery to the variant's image
+   * @param {boolean} options.replaceHistory - Keep the current history entry (see updateURL)
+   */
+  applyVariant(variant, { updateImage = false, replaceHistory = false } = {}) {
+    this.updateVariantId(variant.id);
+    this.updateQuantityRule(variant);
+    this.updateSellingPlan(variant);
+    this.updatePrice(variant);
+
+    if (updateImage) {
+      this.updateImage(variant);
+    }
+
+    this.updateAvailability(variant);
+
+    // Update URL with variant ID for sharing/bookmarking
+    this.updateURL(variant, { replaceHistory });
 
-      if (isColorChange) {
-        this.updateImage(matchingVariant);
+    // Emit custom event for other components
+    this.emitVariantChange(variant);
+  }
+
+  /**
+   * Elements of the selected values, in option order
+   * Buttons for button and swatch options, <option> elements for selects.
+   * @returns {Array<HTMLElement|undefined>}
+   */
+  getSelectedValueElements() {
+    return this.product.options.map(optionName => (
+      this.getValueElements(optionName).find(choice => getValue(choice) === this.selectedOptions[optionName])
+    ));
+  }
+
+  /**
+   * Elements of every value of an option, hidden ones included
+   * @param {string} optionName - Option name
+   * @returns {Array<HTMLElement>} Buttons, or the <option> elements of a select
+   */
+  getValueElements(optionName) {
+    const elements = document.querySelectorAll(
+      `[data-variant-option="${this.sectionId}"][data-option-name="${optionName}"]`
+    );
+    return [...elements].flatMap(element => (element.tagName === 'SELECT' ? [...element.options] : [element]));
+  }
+
+  /**
+   * Load the variant and option availability for the selected values (fetch_options)
+   * Values of a combined listing that belong to another product load that
+   * product's section instead. When the request fails the page is loaded with
+   * the same selection.
+   * @param {string|null} changedOptionName - Option that was changed
+   * @param {Object} options - Passed on to applyVariant
+   * @param {string|null} options.variantId - Load this variant instead of the selected values
+   */
+  async fetchOptionValues(changedOptionName, { variantId = null, ...options } = {}) {
+    const selectedElements = this.getSelectedValueElements();
+    const optionValueIds = selectedElements.filter(Boolean).map(element => element.dataset.optionValueId);
+    const changedElement = selectedElements[this.product.options.indexOf(changedOptionName)];
+    const productUrl = changedElement?.dataset.productUrl || this.product.url;
+    const query = variantId ? `variant=${variantId}` : `option_values=${optionValueIds.join(',')}`;
+
+    // Only the latest selection matters
+    this.optionsRequest?.abort();
+    const request = new AbortController();
+    this.optionsRequest = request;
+
+    const container = document.querySelector(`[data-variant-selector="${this.sectionId}"]`);
+    const hadFocus = Boolean(container?.contains(document.activeElement));
+    container?.setAttribute('aria-busy', 'true');
+
+    // The form still holds the previous variant, updateAvailability enables it again
+    const addToCartButton = this.getAddToCartButton();
+    if (addToCartButton) {
+      addToCartButton.disabled = true;
+    }
+
+    try {
+      const response = await fetch(`${productUrl}?${query}&section_id=${this.sectionId}`, { signal: request.signal });
+      if (!response.ok) {
+        throw new Error(`Option values request failed: ${response.status}`);
       }
 
-      this.updateAvailability(matchingVariant);
+      const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const selector = productUrl === this.product.url
+        ? this.replaceOptions(html, changedOptionName, options)
+        : this.replaceSection(html, options);
 
-      // Update URL with variant ID for sharing/bookmarking
-      this.updateURL(matchingVariant);
+      // Keyboard users stay on the option they changed
+      if (hadFocus && selector) {
+        const selected = selector.getSelectedValueElements()[selector.product.options.indexOf(changedOptionName)];
+        (selected?.closest('select') || selected)?.focus();
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      logger.error('Error loading option values:', error);
+      window.location.assign(`${productUrl}?${query}`);
+    } finally {
+      if (this.optionsRequest === request) {
+        this.optionsRequest = null;
+        container?.removeAttribute('aria-busy');
+      }
+    }
+  }
 
-      // Emit custom event for other components
-      this.emitVariantChange(matchingVariant);
-    } else {
-      console.warn('No matching variant found for:', this.selectedOptions);
+  /**
+   * Swap in server-rendered options and show the variant the server picked
+   * The server may have moved other options to reach a variant that exists.
+   * @param {Document} html - Section Rendering API response
+   * @param {string|null} changedOptionName - Option that was changed
+   * @param {Object} options - Passed on to applyVariant
+   * @returns {VariantSelector}
+   */
+  replaceOptions(html, changedOptionName, options = {}) {
+    const source = html.querySelector(`[data-variant-selector="${this.sectionId}"]`);
+    const target = document.querySelector(`[data-variant-selector="${this.sectionId}"]`);
+    const productDataElement = source?.querySelector('[data-product-json]');
+    if (!target || !productDataElement) {
+      throw new Error('Variant selector missing from section response');
+    }
+
+    target.replaceWith(source);
+    this.product = JSON.parse(productDataElement.textContent);
+    this.attachOptionListeners();
+
+    const variant = this.product.selected_or_first_available_variant;
+    const snapped = !variant.options.every((value, index) => this.selectedOptions[this.product.options[index]] === value);
+    this.initializeSelectedOptions(variant);
+    this.product.options.forEach(optionName => this.updateButtonStates(optionName));
+    this.applyVariant(variant, {
+      ...options,
+      updateImage: options.updateImage || isColorOption(changedOptionName) || snapped,
+    });
+    return this;
+  }
+
+  /**
+   * Swap in another product's section (combined listings)
+   * @param {Document} html - Section Rendering API response
+   * @param {Object} options
+   * @param {boolean} options.replaceHistory - Keep the current history entry (see updateURL)
+   * @returns {VariantSelector|null} Selector of the new product
+   */
+  replaceSection(html, { replaceHistory = false } = {}) {
+    const source = html.getElementById(`shopify-section-${this.sectionId}`);
+    const target = document.getElementById(`shopify-section-${this.sectionId}`);
+    const productDataElement = source?.querySelector('[data-product-json]');
+    if (!target || !productDataElement) {
+      throw new Error('Product section missing from section response');
     }
+
+    // Before the new selector reads the URL
+    const product = JSON.parse(productDataElement.textContent);
+    this.updateURL(product.selected_or_first_available_variant, { productUrl: product.url, replaceHistory });
+
+    // The new product's selector takes over back/forward
+    window.removeEventListener('popstate', this.handlePopState);
+    target.replaceWith(source);
+    const [selector = null] = initVariantSelectors(source);
+    return selector;
   }
 
   /**
    * Update browser URL with selected variant
+   * Adds a history entry with pushHistory, unless the URL already shows the
+   * variant or the selection was restored from the URL.
+   * @param {Object} variant - Selected variant
+   * @param {Object} options
+   * @param {boolean} options.replaceHistory - Keep the current history entry
+   * @param {string|null} options.productUrl - Move to another product's page (combined listings)
    */
-  updateURL(variant) {
+  updateURL(variant, { replaceHistory = false, productUrl = null } = {}) {
     if (!window.history.replaceState) return;
 
     const url = new URL(window.location.href);
+    if (productUrl) {
+      url.pathname = new URL(productUrl, url.origin).pathname;
+    }
+    // The variant replaces option parameters from deep links
+    [...url.searchParams.keys()].forEach(key => {
+      if (this.product.options.some(optionName => handleize(optionName) === handleize(key))) {
+        url.searchParams.delete(key);
+      }
+    });
     url.searchParams.set('variant', variant.id);
-    window.history.replaceState({}, '', url.toString());
+
+    if (this.pushHistory && !replaceHistory && url.href !== window.location.href) {
+      window.history.pushState({}, '', url.toString());
+    } else {
+      window.history.replaceState({}, '', url.toString());
+    }
+    this.pathname = url.pathname;
+  }
+
+  /**
+   * Options selected by the URL
+   * `?variant=` wins over option parameters (`?color=red&size=m`), which are
+   * matched to option names and values by handle.
+   * @param {URL} url - Page URL
+   * @returns {Object|null} Option name -> value, null when the URL selects nothing this selector knows
+   */
+  getOptionsFromURL(url) {
+    const variantId = url.searchParams.get('variant');
+    const variants = this.product.variants || [this.product.selected_or_first_available_variant];
+    const variant = variantId && variants.find(({ id }) => String(id) === variantId);
+    if (variant) {
+      return Object.fromEntries(this.product.options.map((optionName, index) => [optionName, variant.options[index]]));
+    }
+
+    const options = {};
+    this.product.options.forEach(optionName => {
+      const param = [...url.searchParams.keys()].find(key => handleize(key) === handleize(optionName));
+      const value = param && this.getValueElements(optionName)
+        .map(getValue)
+        .find(optionValue => handleize(optionValue) === handleize(url.searchParams.get(param)));
+      if (value) {
+        options[optionName] = value;
+      }
+    });
+    return Object.keys(options).length > 0 ? options : null;
+  }
+
+  /**
+   * Select the variant the URL asks for, on load and on back/forward
+   * Doesn't add history entries.
+   */
+  selectFromURL() {
+    const url = new URL(window.location.href);
+    const variantId = url.searchParams.get('variant');
+    const urlOptions = this.getOptionsFromURL(url);
+    const options = urlOptions || (variantId ? null : this.initialOptions);
+
+    // With fetch_options only the selected variant is known, others are loaded by id
+    if (!options) {
+      if (variantId && this.fetchesOptions) {
+        this.fetchOptionValues(null, { variantId, replaceHistory: true, updateImage: true });
+      }
+      return;
+    }
+
+    if (Object.keys(options).every(optionName => this.selectedOptions[optionName] === options[optionName])) {
+      return;
+    }
+    Object.assign(this.selectedOptions, options);
+    this.product.options.forEach(optionName => this.updateButtonStates(optionName));
+    // Linked values stay, the options the URL left out give way
+    this.updateVariant(null, { replaceHistory: true, updateImage: true, keptOptions: Object.keys(urlOptions || {}) });
+  }
+
+  /**
+   * Restore the selection of the history entry the shopper went back or forward to
+   */
+  handlePopState() {
+    // An entry of another product from a combined listing
+    if (window.location.pathname !== this.pathname) {
+      window.location.reload();
+      return;
+    }
+    this.selectFromURL();
   }
 
   /**
@@ -206,17 +606,124 @@ export class VariantSelector {
     }
   }
 
+  /**
+   * Apply the variant's quantity rule to the quantity input
+   * The quantity moves to the closest one the new rule allows.
+   */
+  updateQuantityRule(variant) {
+    if (!this.quantityInput || !variant.quantity_rule) {
+      return;
+    }
+
+    const rule = variant.quantity_rule;
+    this.quantityInput.min = rule.min;
+    this.quantityInput.step = rule.increment;
+    if (rule.max) {
+      this.quantityInput.max = rule.max;
+    } else {
+      this.quantityInput.removeAttribute('max');
+    }
+    this.quantityInput.value = clampQuantity(this.getQuantity(), rule);
+    this.quantityInput.setCustomValidity('');
+
+    this.updatePriceBreaks(variant);
+  }
+
+  /**
+   * List the variant's volume prices
+   */
+  updatePriceBreaks(variant) {
+    if (!this.priceBreaksElement) {
+      return;
+    }
+
+    const priceBreaks = variant.quantity_price_breaks || [];
+    const list = this.priceBreaksElement.querySelector('[data-quantity-price-break-list]');
+    if (list) {
+      list.replaceChildren(...priceBreaks.map(priceBreak => {
+        const item = document.createElement('li');
+        item.textContent = getPriceBreakLabel(priceBreak.minimum_quantity, this.formatMoney(priceBreak.price));
+        return item;
+      }));
+    }
+    this.priceBreaksElement.hidden = priceBreaks.length === 0;
+  }
+
+  /**
+   * Quantity entered in the quantity block, 1 when there is none
+   */
+  getQuantity() {
+    const quantity = this.quantityInput ? parseInt(this.quantityInput.value, 10) : NaN;
+    return quantity > 0 ? quantity : 1;
+  }
+
+  /**
+   * Sync the selling plan picker with the purchase option and the variant
+   * Plans the variant can't be bought with are disabled, and the hidden
+   * `selling_plan` input is left empty for one-time purchases.
+   */
+  updateSellingPlan(variant) {
+    if (!this.sellingPlanPicker) {
+      return;
+    }
+
+    const select = this.sellingPlanPicker.querySelector('[data-selling-plan-select]');
+    const input = this.sellingPlanPicker.querySelector('[data-selling-plan-input]');
+    const checkedOption = this.sellingPlanPicker.querySelector('[data-selling-plan-option]:checked');
+    const subscribe = !checkedOption || checkedOption.value === 'subscribe';
+    if (!select || !input) {
+      return;
+    }
+
+    const allocatedPlans = (variant.selling_plan_allocations || []).map(allocation => String(allocation.selling_plan_id));
+    [...select.options].forEach(option => {
+      option.disabled = !allocatedPlans.includes(option.value);
+    });
+    // Move off a plan this variant doesn't offer
+    if (select.selectedOptions[0]?.disabled) {
+      const firstAvailable = [...select.options].find(option => !option.disabled);
+      select.value = firstAvailable ? firstAvailable.value : '';
+    }
+
+    select.disabled = !subscribe;
+    input.value = subscribe ? select.value : '';
+
+    const description = this.sellingPlanPicker.querySelector('[data-selling-plan-description]');
+    if (description) {
+      description.textContent = select.selectedOptions[0]?.dataset.description || '';
+      description.hidden = !subscribe || !description.textContent;
+    }
+  }
+
+  /**
+   * Selling plan allocation for the plan picked in the selling plan picker
+   * @returns {Object|null} { selling_plan_id, price, compare_at_price, per_delivery_price }
+   */
+  getSellingPlanAllocation(variant) {
+    const input = this.sellingPlanPicker?.querySelector('[data-selling-plan-input]');
+    if (!input || !input.value) {
+      return null;
+    }
+    return (variant.selling_plan_allocations || [])
+      .find(allocation => String(allocation.selling_plan_id) === input.value) || null;
+  }
+
   /**
    * Update price display
+   * Shows the subscription price when a selling plan is picked, otherwise the
+   * volume price for the entered quantity when the variant has price breaks.
    */
   updatePrice(variant) {
-    if (this.priceElement && variant.price) {
-      this.priceElement.textContent = this.formatMoney(variant.price);
+    const allocation = this.getSellingPlanAllocation(variant);
+    const price = allocation ? allocation.price : getPriceForQuantity(variant, this.getQuantity());
+    const compareAtPrice = allocation ? allocation.compare_at_price : variant.compare_at_price;
+    if (this.priceElement && price) {
+      this.priceElement.textContent = this.formatMoney(price);
     }
 
     if (this.compareAtPriceElement) {
-      if (variant.compare_at_price && variant.compare_at_price > variant.price) {
-        this.compareAtPriceElement.textContent = this.formatMoney(variant.compare_at_price);
+      if (compareAtPrice && compareAtPrice > price) {
+        this.compareAtPriceElement.textContent = this.formatMoney(compareAtPrice);
         this.compareAtPriceElement.classList.remove('hidden');
       } else {
         this.compareAtPriceElement.classList.add('hidden');
@@ -281,12 +788,20 @@ export class VariantSelector {
   }
 
   /**
-   * Update availability (in stock / out of stock)
+   * Submit button of the product form
+   * @returns {HTMLButtonElement|HTMLInputElement|null}
    */
-  updateAvailability(variant) {
-    const addToCartButton = document.querySelector(
+  getAddToCartButton() {
+    return document.querySelector(
       `form[data-cart-form] button[type="submit"], form[data-cart-form] input[type="submit"]`
     );
+  }
+
+  /**
+   * Update availability (in stock / out of stock)
+   */
+  updateAvailability(variant) {
+    const addToCartButton = this.getAddToCartButton();
 
     if (addToCartButton) {
       if (variant.available) {
@@ -314,6 +829,21 @@ export class VariantSelector {
     document.dispatchEvent(event);
   }
 
+  /**
+   * Emit product viewed event with the initially selected variant
+   */
+  emitProductView() {
+    const variant = this.findMatchingVariant() || this.product.selected_or_first_available_variant;
+    const event = new CustomEvent('product:viewed', {
+      detail: {
+        variant: variant,
+        product: this.product
+      },
+      bubbles: true
+    });
+    document.dispatchEvent(event);
+  }
+
   /**
    * Update UI to reflect current state
    */
@@ -322,62 +852,87 @@ export class VariantSelector {
     Object.keys(this.selectedOptions).forEach(optionName => {
       this.updateButtonStates(optionName);
     });
+    this.updateOptionAvailability();
 
     // Find and update current variant
     const currentVariant = this.findMatchingVariant();
     if (currentVariant) {
       this.updateVariantId(currentVariant.id);
+      this.updateQuantityRule(currentVariant);
+      this.updateSellingPlan(currentVariant);
       this.updatePrice(currentVariant);
       this.updateAvailability(currentVariant);
     }
   }
 
   /**
-   * Format money using Shopify's money format
+   * Format money using the shop's money format
    */
   formatMoney(cents) {
-    if (typeof Shopify !== 'undefined' && Shopify.formatMoney) {
-      return Shopify.formatMoney(cents, Shopify.money_format || '${{amount}}');
-    }
-    // Fallback formatting
-    return `$${(cents / 100).toFixed(2)}`;
+    return formatMoney(cents);
   }
 
   /**
-   * Check if an option combination is available
+   * Variants an option value leads to, given the values selected for the options before it
+   * @param {number} optionIndex - Position of the option in product.options
+   * @param {string} optionValue - Value to check
+   * @returns {Array<Object>} Variants
    */
-  isOptionAvailable(optionName, optionValue) {
-    const testOptions = { ...this.selectedOptions, [optionName]: optionValue };
+  getVariantsForOptionValue(optionIndex, optionValue) {
+    const previousOptions = this.product.options.slice(0, optionIndex);
 
-    return this.product.variants.some(variant => {
-      const matches = variant.options.every((value, index) => {
-        const name = this.product.options[index];
-        return testOptions[name] === value;
-      });
-      return matches && variant.available;
-    });
+    return this.product.variants.filter(variant => (
+      variant.options[optionIndex] === optionValue &&
+      previousOptions.every((name, index) => variant.options[index] === this.selectedOptions[name])
+    ));
+  }
+
+  /**
+   * Check if an option value can be bought with the options selected before it
+   */
+  isOptionAvailable(optionName, optionValue) {
+    const optionIndex = this.product.options.indexOf(optionName);
+    return this.getVariantsForOptionValue(optionIndex, optionValue).some(variant => variant.available);
   }
 
   /**
-   * Disable unavailable options
+   * Hide option values that don't exist and cross out sold-out ones
+   * Sold-out values stay selectable so shoppers can still see their price and details.
    */
   updateOptionAvailability() {
-    this.product.options.forEach(optionName => {
-      const buttons = document.querySelectorAll(
+    // Rendered by the server with fetch_options
+    if (this.fetchesOptions) {
+      return;
+    }
+
+    this.product.options.forEach((optionName, optionIndex) => {
+      const elements = document.querySelectorAll(
         `[data-variant-option="${this.sectionId}"][data-option-name="${optionName}"]`
       );
 
-      buttons.forEach(button => {
-        const optionValue = button.dataset.optionValue;
-        const available = this.isOptionAvailable(optionName, optionValue);
-
-        if (!available) {
-          button.classList.add('variant-option--unavailable');
-          button.disabled = true;
-        } else {
-          button.classList.remove('variant-option--unavailable');
-          button.disabled = false;
-        }
+      elements.forEach(element => {
+        const isSelect = element.tagName === 'SELECT';
+        const choices = isSelect ? [...element.options] : [element];
+
+        choices.forEach(choice => {
+          const optionValue = isSelect ? choice.value : choice.dataset.optionValue;
+          const variants = this.getVariantsForOptionValue(optionIndex, optionValue);
+          const exists = variants.length > 0;
+          const soldOut = exists && !this.isOptionAvailable(optionName, optionValue);
+          const label = soldOut
+            ? getString('variantValueSoldOut', '[value] - Sold out').replace('[value]', optionValue)
+            : optionValue;
+
+          choice.hidden = !exists;
+          if (isSelect) {
+            // Safari shows hidden options
+            choice.disabled = !exists;
+            choice.textContent = label;
+          } else {
+            choice.classList.toggle('variant-option--unavailable', soldOut);
+            choice.setAttribute('aria-label', label);
+          }
+        });
       });
     });
   }
@@ -385,10 +940,14 @@ export class VariantSelector {
 
 /**
  * Initialize variant selectors on the page
+ * @param {ParentNode} root - Element to look in, e.g. a re-rendered section
+ * @returns {Array<VariantSelector>}
  */
-export function initVariantSelectors() {
+export function initVariantSelectors(root = document) {
+  const selectors = [];
+
   // Find all variant selector containers
-  const containers = document.querySelectorAll('[data-variant-selector]');
+  const containers = root.querySelectorAll('[data-variant-selector]');
 
   containers.forEach(container => {
     const productDataElement = container.querySelector('[data-product-json]');
@@ -397,17 +956,16 @@ export function initVariantSelectors() {
     if (productDataElement) {
       try {
         const productData = JSON.parse(productDataElement.textContent);
-        new VariantSelector(productData, sectionId);
+        selectors.push(new VariantSelector(productData, sectionId, {
+          pushHistory: container.dataset.pushHistory === 'true',
+        }));
       } catch (error) {
-        console.error('Error initializing variant selector:', error);
+        logger.error('Error initializing variant selector:', error);
       }
     }
   });
-}
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initVariantSelectors);
-} else {
-  initVariantSelectors();
+  return selectors;
 }
+
+// Initialized in main.js, once analytics listens for product:viewed